@@ -0,0 +1,120 @@
+const jwt = require('jsonwebtoken');
+
+const ROLES = {
+  CUSTOMER: 'customer',
+  SHOP_OWNER: 'shop_owner',
+  ADMIN: 'admin'
+};
+
+/**
+ * Issue an access token for a signed-in customer or shop owner.
+ * `id` is the userId (customers) or ownerId (shop owners).
+ */
+const signToken = ({ role, id, shopId }) => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT secret not configured on server');
+  }
+
+  const payload = { role, sub: id };
+  if (shopId) payload.shopId = shopId.toString();
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+  });
+};
+
+// Verify the bearer token (or admin key) and attach req.auth = { role, id, shopId }
+const authenticate = (req, res, next) => {
+  try {
+    // Admin app keeps using its static key
+    const adminKey = req.headers.adminkey || req.headers['admin-key'];
+    if (adminKey && process.env.ADMIN_KEY && adminKey === process.env.ADMIN_KEY) {
+      req.auth = { role: ROLES.ADMIN, id: 'admin' };
+      return next();
+    }
+
+    if (!process.env.JWT_SECRET) {
+      return res.status(500).json({ success: false, message: 'JWT secret not configured on server' });
+    }
+
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Only access tokens sign anyone in; pickup tokens (typ, aud) and anything
+    // without a role are refused
+    if (payload.typ || payload.aud || !Object.values(ROLES).includes(payload.role)) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired token' });
+    }
+
+    req.auth = {
+      role: payload.role,
+      id: payload.sub,
+      shopId: payload.shopId
+    };
+
+    next();
+  } catch (error) {
+    return res.status(401).json({ success: false, message: 'Invalid or expired token' });
+  }
+};
+
+// Restrict a route to the given roles (admins always pass)
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.auth) {
+    return res.status(401).json({ success: false, message: 'Authentication required' });
+  }
+
+  if (req.auth.role === ROLES.ADMIN || roles.includes(req.auth.role)) {
+    return next();
+  }
+
+  return res.status(403).json({ success: false, message: 'You do not have permission to perform this action' });
+};
+
+const isAdmin = (auth) => !!auth && auth.role === ROLES.ADMIN;
+
+// True if the caller is an admin or the owner of the given shop
+const canAccessShop = (auth, shopId) => {
+  if (isAdmin(auth)) return true;
+  return !!auth && auth.role === ROLES.SHOP_OWNER && !!shopId && auth.shopId === shopId.toString();
+};
+
+// True if the caller is an admin or the given customer
+const canAccessUser = (auth, userId) => {
+  if (isAdmin(auth)) return true;
+  return !!auth && auth.role === ROLES.CUSTOMER && !!userId && auth.id === userId.toString();
+};
+
+// Route guard for paths that carry the shop id, e.g. requireShopAccess(req => req.params.shopId)
+const requireShopAccess = (getShopId) => (req, res, next) => {
+  if (!canAccessShop(req.auth, getShopId(req))) {
+    return res.status(403).json({ success: false, message: 'You can only manage your own shop' });
+  }
+  next();
+};
+
+// Route guard for paths that carry the customer id, e.g. requireUserAccess(req => req.params.userId)
+const requireUserAccess = (getUserId) => (req, res, next) => {
+  if (!canAccessUser(req.auth, getUserId(req))) {
+    return res.status(403).json({ success: false, message: 'You can only access your own account' });
+  }
+  next();
+};
+
+module.exports = {
+  ROLES,
+  signToken,
+  authenticate,
+  authorize,
+  isAdmin,
+  canAccessShop,
+  canAccessUser,
+  requireShopAccess,
+  requireUserAccess
+};
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const cartItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Required for products sold in variants
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  shopId: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 1
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One cart per customer; prices are never stored, they are read live from Product
+const cartSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  items: [cartItemSchema]
+}, {
+  timestamps: true
+});
+
+// Find the customer's cart, creating an empty one on first use
+cartSchema.statics.getOrCreate = async function(userId) {
+  return this.findOneAndUpdate(
+    { userId },
+    { $setOnInsert: { items: [] } },
+    { new: true, upsert: true }
+  );
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
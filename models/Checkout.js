@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Parent of the per-shop orders created by one multi-shop checkout
+const checkoutSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  orderIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  shopCount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  itemCount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Virtual for checkout number (formatted ID)
+checkoutSchema.virtual('checkoutNumber').get(function() {
+  return `CHK${this._id.toString().slice(-8).toUpperCase()}`;
+});
+
+checkoutSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Checkout', checkoutSchema);
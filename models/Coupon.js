@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// A discount code: run by one shop, or by the platform for every shop
+const couponSchema = new mongoose.Schema({
+  // Stored upper case; unique across shops and the platform so a code is never ambiguous
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z0-9_-]{3,30}$/
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  scope: {
+    type: String,
+    enum: ['shop', 'platform'],
+    required: true
+  },
+  // Required for shop coupons
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop'
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: true
+  },
+  // Percent off (1-100) or amount off
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Cap for percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  // Compared with the order subtotal before discount
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date
+  },
+  // Redemptions across all customers (none = unlimited)
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Restrictions: when either list is set, only matching items are discounted
+  productIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  categories: [{
+    type: String,
+    trim: true
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Orders currently holding the coupon; cancelled/expired orders give their use back
+  redeemedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  createdBy: {
+    type: {
+      type: String,
+      enum: ['shop', 'admin']
+    },
+    id: {
+      type: String
+    }
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ shopId: 1, createdAt: -1 });
+couponSchema.index({ scope: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Coupon', couponSchema);
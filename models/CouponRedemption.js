@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// One use of a coupon by an order; the source for per-user limits and redemption analytics
+const couponRedemptionSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: ['shop', 'platform'],
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: true
+  },
+  // Kept in step with the order when the shop removes items
+  discount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  orderSubtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  orderTotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // 'released' once the order was cancelled or expired
+  status: {
+    type: String,
+    enum: ['applied', 'released'],
+    default: 'applied'
+  },
+  releasedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ couponId: 1, orderId: 1 }, { unique: true });
+couponRedemptionSchema.index({ couponId: 1, userId: 1, status: 1 });
+couponRedemptionSchema.index({ shopId: 1, createdAt: -1 });
+couponRedemptionSchema.index({ orderId: 1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
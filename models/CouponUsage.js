@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Number of active orders of one customer that use one coupon
+const couponUsageSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  used: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+couponUsageSchema.index({ couponId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('CouponUsage', couponUsageSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 
 const orderItemSchema = new mongoose.Schema({
   productId: {
@@ -10,6 +11,16 @@ const orderItemSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Set when the product is sold in variants (pack size, colour...)
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  variantName: {
+    type: String
+  },
+  sku: {
+    type: String
+  },
   price: {
     type: Number,
     required: true,
@@ -27,6 +38,162 @@ const orderItemSchema = new mongoose.Schema({
   }
 });
 
+const pinAttemptSchema = new mongoose.Schema({
+  attemptedAt: {
+    type: Date,
+    default: Date.now
+  },
+  actorId: {
+    type: String
+  },
+  ip: {
+    type: String
+  }
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  actorType: {
+    type: String,
+    enum: ['customer', 'shop', 'admin', 'system'],
+    required: true
+  },
+  actorId: {
+    type: String
+  },
+  reason: {
+    type: String,
+    maxlength: 200
+  },
+  override: {
+    type: Boolean,
+    default: false
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const itemAdjustmentSchema = new mongoose.Schema({
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  productName: {
+    type: String
+  },
+  fromQuantity: {
+    type: Number,
+    required: true
+  },
+  toQuantity: {
+    type: Number,
+    required: true
+  },
+  // Amount taken off totalAmount
+  amount: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    maxlength: 200
+  },
+  actorType: {
+    type: String,
+    enum: ['customer', 'shop', 'admin', 'system'],
+    required: true
+  },
+  actorId: {
+    type: String
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Pickup slot booked at order time (local date/times in the shop's timezone)
+const pickupSlotSchema = new mongoose.Schema({
+  date: {
+    type: String,
+    required: true
+  },
+  start: {
+    type: String,
+    required: true
+  },
+  end: {
+    type: String,
+    required: true
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  // 'released' once a cancellation/expiry gave the place back
+  status: {
+    type: String,
+    enum: ['booked', 'released'],
+    default: 'booked'
+  }
+}, { _id: false });
+
+// Coupon applied at placement, with the rule needed to recompute it when items change
+const discountLineSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: ['shop', 'platform'],
+    required: true
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true
+  },
+  maxDiscount: {
+    type: Number
+  },
+  // Products the coupon applied to at placement (empty = every item)
+  productIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
   userId: {
     type: String,
@@ -37,6 +204,11 @@ const orderSchema = new mongoose.Schema({
     ref: 'Shop',
     required: true
   },
+  // Set when the order was created as part of a multi-shop checkout
+  checkoutId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Checkout'
+  },
   shopName: {
     type: String,
     required: true
@@ -54,6 +226,18 @@ const orderSchema = new mongoose.Schema({
     required: false
   },
   items: [orderItemSchema],
+  // Sum of the items before discounts (unset on orders placed before coupons)
+  subtotal: {
+    type: Number,
+    min: 0
+  },
+  discounts: [discountLineSchema],
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // What the customer pays: subtotal - discountAmount
   totalAmount: {
     type: Number,
     required: true,
@@ -64,9 +248,52 @@ const orderSchema = new mongoose.Schema({
     required: true,
     length: 4
   },
+  // Wrong PIN guesses since the PIN was last issued; verification locks at PIN_MAX_ATTEMPTS
+  pinAttempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  pinLockedAt: {
+    type: Date
+  },
+  pinRegeneratedAt: {
+    type: Date
+  },
+  // Audit trail of failed PIN verifications (most recent 50)
+  failedPinAttempts: [pinAttemptSchema],
+  // Stock taken at placement: released on cancel/expiry, consumed on pickup
+  stockStatus: {
+    type: String,
+    enum: ['reserved', 'released', 'consumed']
+  },
+  // Pay at the counter (default) or online through the payment gateway
+  paymentMethod: {
+    type: String,
+    enum: ['pay_at_pickup', 'online'],
+    default: 'pay_at_pickup'
+  },
+  // Only tracked for online payments; updated from gateway webhooks and refunds
+  paymentStatus: {
+    type: String,
+    enum: ['not_required', 'pending', 'authorized', 'captured', 'failed', 'partially_refunded', 'refunded'],
+    default: 'not_required'
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  paidAt: {
+    type: Date
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   status: {
     type: String,
-    enum: ['Pending', 'Accepted', 'Completed', 'Cancelled'],
+    enum: ['Pending', 'Accepted', 'Ready', 'Completed', 'Cancelled', 'Expired'],
     default: 'Pending'
   },
   notes: {
@@ -78,10 +305,11 @@ const orderSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  pickupSlot: pickupSlotSchema,
   expiresAt: {
     type: Date,
     required: true,
-    default: () => new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours from now
+    default: () => new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours from now (shop's pickupWindowHours, or the booked slot, when placed via the API)
   },
   acceptedAt: {
     type: Date
@@ -98,7 +326,18 @@ const orderSchema = new mongoose.Schema({
   cancellationReason: {
     type: String,
     maxlength: 200
-  }
+  },
+  expiredAt: {
+    type: Date
+  },
+  expiryReason: {
+    type: String,
+    maxlength: 200
+  },
+  // Append-only; services/orderLifecycle pushes an entry on every status change
+  statusHistory: [statusChangeSchema],
+  // Items the shop removed or reduced before pickup (services/orderAdjustments)
+  itemAdjustments: [itemAdjustmentSchema]
 }, {
   timestamps: true
 });
@@ -107,7 +346,9 @@ const orderSchema = new mongoose.Schema({
 orderSchema.index({ pickupPin: 1 });
 orderSchema.index({ shopId: 1, status: 1 });
 orderSchema.index({ userId: 1 });
+orderSchema.index({ checkoutId: 1 }, { sparse: true });
 orderSchema.index({ expiresAt: 1 });
+orderSchema.index({ shopId: 1, 'pickupSlot.startsAt': 1 });
 orderSchema.index({ createdAt: -1 });
 
 // Virtual for order number (formatted ID)
@@ -142,10 +383,20 @@ orderSchema.set('toJSON', { virtuals: true });
 
 // Static method to generate 4-digit PIN
 orderSchema.statics.generatePickupPin = function() {
-  // Generate random 4-digit PIN
-  return Math.floor(1000 + Math.random() * 9000).toString();
+  // Cryptographically secure, zero-padded 0000-9999
+  return crypto.randomInt(0, 10000).toString().padStart(4, '0');
+};
+
+// Number of wrong guesses allowed before PIN verification locks
+orderSchema.statics.maxPinAttempts = function() {
+  return parseInt(process.env.PIN_MAX_ATTEMPTS) || 5;
 };
 
+// Virtual for PIN lockout
+orderSchema.virtual('isPinLocked').get(function() {
+  return this.pinAttempts >= this.constructor.maxPinAttempts();
+});
+
 // Pre-save middleware to set timestamps for status changes
 orderSchema.pre('save', function(next) {
   if (this.isModified('status')) {
@@ -155,12 +406,18 @@ orderSchema.pre('save', function(next) {
       case 'Accepted':
         if (!this.acceptedAt) this.acceptedAt = now;
         break;
+      case 'Ready':
+        if (!this.readyAt) this.readyAt = now;
+        break;
       case 'Completed':
         if (!this.completedAt) this.completedAt = now;
         break;
       case 'Cancelled':
         if (!this.cancelledAt) this.cancelledAt = now;
         break;
+      case 'Expired':
+        if (!this.expiredAt) this.expiredAt = now;
+        break;
     }
   }
   next();
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const paymentEventSchema = new mongoose.Schema({
+  // Gateway's event id; webhooks are retried, so each one is applied only once
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One online payment attempt for an order or a multi-shop checkout
+const paymentSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  orderIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  checkoutId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Checkout'
+  },
+  gateway: {
+    type: String,
+    required: true
+  },
+  // The gateway's id for this payment request (Razorpay order id, Stripe PaymentIntent id...)
+  gatewayOrderId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  gatewayPaymentId: {
+    type: String
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  status: {
+    type: String,
+    enum: ['created', 'authorized', 'captured', 'failed'],
+    default: 'created'
+  },
+  failureReason: {
+    type: String,
+    maxlength: 200
+  },
+  capturedAt: {
+    type: Date
+  },
+  events: [paymentEventSchema]
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ orderIds: 1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Number of active orders booked into one pickup slot of a shop on one local date
+const pickupSlotBookingSchema = new mongoose.Schema({
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: true
+  },
+  date: {
+    type: String,
+    required: true
+  },
+  start: {
+    type: String,
+    required: true
+  },
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+pickupSlotBookingSchema.index({ shopId: 1, date: 1, start: 1 }, { unique: true });
+
+module.exports = mongoose.model('PickupSlotBooking', pickupSlotBookingSchema);
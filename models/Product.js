@@ -1,5 +1,52 @@
 const mongoose = require('mongoose');
 
+// A sellable version of a product (e.g. rice 1kg / 5kg, a shirt in M / L)
+const variantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  sku: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  size: {
+    type: String,
+    trim: true,
+    maxlength: 30
+  },
+  weight: {
+    type: String,
+    trim: true,
+    maxlength: 30
+  },
+  colour: {
+    type: String,
+    trim: true,
+    maxlength: 30
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  imageUrls: [{
+    type: String
+  }],
+  isAvailable: {
+    type: Boolean,
+    default: true
+  }
+});
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -54,7 +101,22 @@ const productSchema = new mongoose.Schema({
   tags: [{
     type: String,
     trim: true
-  }]
+  }],
+  // Average of published review ratings, kept up to date by services/reviews
+  rating: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 5
+  },
+  ratingCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // When present, each variant has its own price and stock; the product's
+  // price is the lowest variant price and its stock the sum of variant stock
+  variants: [variantSchema]
 }, {
   timestamps: true
 });
@@ -64,6 +126,31 @@ productSchema.index({ shopId: 1 });
 productSchema.index({ category: 1 });
 productSchema.index({ isAvailable: 1 });
 productSchema.index({ name: 'text', description: 'text', tags: 'text' });
+productSchema.index({ shopId: 1, 'variants.sku': 1 });
+
+// Price range and stock of a product's variants (also used on lean documents)
+productSchema.statics.variantSummary = function(product) {
+  const variants = product.variants || [];
+  if (variants.length === 0) return null;
+
+  const prices = variants.map(variant => variant.price);
+  return {
+    count: variants.length,
+    minPrice: Math.min(...prices),
+    maxPrice: Math.max(...prices),
+    totalStock: variants.reduce((sum, variant) => sum + variant.stock, 0),
+    inStock: variants.filter(variant => variant.isAvailable !== false && variant.stock > 0).length,
+    names: variants.map(variant => variant.name)
+  };
+};
+
+productSchema.virtual('hasVariants').get(function() {
+  return !!this.variants && this.variants.length > 0;
+});
+
+productSchema.virtual('variantSummary').get(function() {
+  return this.constructor.variantSummary(this);
+});
 
 // Virtual for primary image
 productSchema.virtual('imageUrl').get(function() {
@@ -81,6 +168,27 @@ productSchema.virtual('availabilityStatus').get(function() {
 // Ensure virtual fields are serialized
 productSchema.set('toJSON', { virtuals: true });
 
+// Keep the product-level price/stock in line with its variants when a whole
+// product is saved (create, import); the variant routes recompute them atomically
+productSchema.pre('validate', function(next) {
+  if (this.variants && this.variants.length > 0) {
+    const skus = this.variants.map(variant => variant.sku).filter(Boolean);
+    if (new Set(skus).size !== skus.length) {
+      return next(new Error('Variant SKUs must be unique within a product'));
+    }
+
+    this.price = Math.min(...this.variants.map(variant => variant.price));
+    this.stock = this.variants.reduce((sum, variant) => sum + variant.stock, 0);
+  }
+  next();
+});
+
+// Find a variant by id (null if the product has none with that id)
+productSchema.methods.findVariant = function(variantId) {
+  if (!variantId || !mongoose.Types.ObjectId.isValid(variantId)) return null;
+  return this.variants.id(variantId);
+};
+
 // Pre-save middleware to update shop name if needed
 productSchema.pre('save', async function(next) {
   try {
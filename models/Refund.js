@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Money returned to the customer for (part of) a prepaid order
+const refundSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // 'partial' for removed items, 'full' when the order is cancelled or expires
+  // (or, for a payment captured after it was replaced, how much of it goes back)
+  type: {
+    type: String,
+    enum: ['partial', 'full'],
+    required: true
+  },
+  reason: {
+    type: String,
+    maxlength: 200
+  },
+  gateway: {
+    type: String,
+    required: true
+  },
+  gatewayRefundId: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processed', 'failed'],
+    default: 'pending'
+  },
+  failureReason: {
+    type: String,
+    maxlength: 200
+  },
+  // Set when an admin retries a failed refund; the new attempt is retriedBy
+  retriedAt: {
+    type: Date
+  },
+  retriedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  processedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+refundSchema.index({ gateway: 1, gatewayRefundId: 1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// Rating of one product from the reviewed order
+const productRatingSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, { _id: false });
+
+// A customer's review of a completed order: the shop, and optionally its products
+const reviewSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  customerName: {
+    type: String
+  },
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  productRatings: [productRatingSchema],
+  // The shop's public answer
+  reply: {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    },
+    repliedAt: {
+      type: Date
+    }
+  },
+  // Hidden reviews are not shown and do not count towards ratings
+  status: {
+    type: String,
+    enum: ['published', 'hidden'],
+    default: 'published'
+  },
+  moderation: {
+    reason: {
+      type: String,
+      maxlength: 200
+    },
+    moderatedBy: {
+      type: String
+    },
+    moderatedAt: {
+      type: Date
+    }
+  }
+}, {
+  timestamps: true
+});
+
+reviewSchema.index({ shopId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ 'productRatings.productId': 1, status: 1 });
+reviewSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -1,4 +1,120 @@
 const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, TIME_PATTERN, isValidTimeZone, isShopOpenNow } = require('../services/shopHours');
+
+// One opening interval of the weekly schedule (day: 0 = Sunday ... 6 = Saturday).
+// A close time at or before the open time means the shop closes after midnight.
+const openingHoursSchema = new mongoose.Schema({
+  day: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  open: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  },
+  close: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  }
+}, { _id: false });
+
+// Holiday or changed hours for one local date; replaces the weekly schedule that day
+const specialHoursSchema = new mongoose.Schema({
+  date: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  closed: {
+    type: Boolean,
+    default: true
+  },
+  // Only used when closed is false
+  open: {
+    type: String,
+    match: TIME_PATTERN
+  },
+  close: {
+    type: String,
+    match: TIME_PATTERN
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  }
+}, { _id: false });
+
+// One step of the approval workflow (services/shopApproval)
+const approvalChangeSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'submitted', 'approved', 'rejected'],
+    required: true
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  actorType: {
+    type: String,
+    enum: ['shop', 'admin'],
+    required: true
+  },
+  actorId: {
+    type: String
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const deviceTokenSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true
+  },
+  platform: {
+    type: String,
+    enum: ['android', 'ios', 'web'],
+    default: 'android'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Weekly pickup slot, e.g. every Monday 17:00-17:30 for up to 10 orders
+const pickupSlotSchema = new mongoose.Schema({
+  day: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  start: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  },
+  end: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 1000
+  }
+}, { _id: false });
 
 const shopSchema = new mongoose.Schema({
   name: {
@@ -57,6 +173,13 @@ const shopSchema = new mongoose.Schema({
     trim: true,
     index: true
   },
+  // Subject of the owner's verified Google ID token (POST /api/shops)
+  ownerGoogleId: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
   email: {
     type: String,
     default: '',
@@ -71,20 +194,69 @@ const shopSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Only approved shops are listed and take orders; kept in step with approvalStatus
   isApproved: {
     type: Boolean,
     default: false
   },
+  // pending: new, documents being uploaded; submitted: waiting for an admin;
+  // approved; rejected: see approval.reason, the owner can submit again.
+  // Shops approved before the workflow existed read as approved.
+  approvalStatus: {
+    type: String,
+    enum: ['pending', 'submitted', 'approved', 'rejected'],
+    default: function() {
+      return this.isApproved ? 'approved' : 'pending';
+    }
+  },
+  approval: {
+    submittedAt: {
+      type: Date
+    },
+    reviewedAt: {
+      type: Date
+    },
+    reviewedBy: {
+      type: String
+    },
+    // Shown to the owner when rejected
+    reason: {
+      type: String,
+      maxlength: 500
+    }
+  },
+  approvalHistory: {
+    type: [approvalChangeSchema],
+    select: false
+  },
+  // Manual switch (toggle-status); isOpenNow also checks the opening hours
   isOpen: {
     type: Boolean,
     default: true
   },
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Invalid timezone'
+    }
+  },
+  // Empty means no schedule: the shop is open whenever isOpen is on
+  openingHours: [openingHoursSchema],
+  specialHours: [specialHoursSchema],
+  // Average of published reviews, kept up to date by services/reviews
   rating: {
     type: Number,
     default: 0,
     min: 0,
     max: 5
   },
+  ratingCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   totalOrders: {
     type: Number,
     default: 0,
@@ -115,6 +287,27 @@ const shopSchema = new mongoose.Schema({
   locationSet: {
     type: Boolean,
     default: false
+  },
+  // Hours a customer has to collect an order before it expires
+  pickupWindowHours: {
+    type: Number,
+    default: 24,
+    min: 1,
+    max: 168
+  },
+  // Pickup slots customers can book when ordering (local times, same timezone)
+  pickupSlots: [pickupSlotSchema],
+  // Minutes after a booked slot ends before the order expires
+  pickupSlotGraceMinutes: {
+    type: Number,
+    default: 30,
+    min: 0,
+    max: 24 * 60
+  },
+  // Push notification tokens of the shop app devices
+  deviceTokens: {
+    type: [deviceTokenSchema],
+    select: false
   }
 }, {
   timestamps: true
@@ -123,14 +316,21 @@ const shopSchema = new mongoose.Schema({
 // Indexes for better query performance
 shopSchema.index({ category: 1 });
 shopSchema.index({ isActive: 1, isApproved: 1 });
+shopSchema.index({ approvalStatus: 1, 'approval.submittedAt': 1 });
 shopSchema.index({ name: 'text', description: 'text' });
 shopSchema.index({ location: '2dsphere' });
 
+// Virtual for the manual switch combined with the opening hours
+shopSchema.virtual('isOpenNow').get(function() {
+  return isShopOpenNow(this);
+});
+
 // Virtual for shop status
 shopSchema.virtual('status').get(function() {
+  if (this.approvalStatus === 'rejected') return 'rejected';
   if (!this.isApproved) return 'pending_approval';
   if (!this.isActive) return 'inactive';
-  return this.isOpen ? 'open' : 'closed';
+  return this.isOpenNow ? 'open' : 'closed';
 });
 
 // Ensure virtual fields are serialized
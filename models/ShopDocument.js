@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Verification (KYC) document of a shop. The file is kept here rather than on
+// the public image CDN; only the owner and admins can download it.
+const shopDocumentSchema = new mongoose.Schema({
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['id_proof', 'address_proof', 'business_registration', 'tax_registration', 'bank_proof', 'other'],
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  data: {
+    type: Buffer,
+    required: true,
+    select: false
+  },
+  uploadedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+shopDocumentSchema.index({ shopId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('ShopDocument', shopDocumentSchema);
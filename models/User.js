@@ -1,5 +1,50 @@
 const mongoose = require('mongoose');
 
+const deviceTokenSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true
+  },
+  platform: {
+    type: String,
+    enum: ['android', 'ios', 'web'],
+    default: 'android'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const favouriteShopSchema = new mongoose.Schema({
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: true
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A whole product, or one variant of it when variantId is set
+const favouriteProductSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   userId: {
     type: String,
@@ -7,6 +52,12 @@ const userSchema = new mongoose.Schema({
     unique: true,
     index: true
   },
+  // Subject of the verified Google ID token the user signs in with (guests have none)
+  googleId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   name: {
     type: String,
     default: 'Guest User'
@@ -53,6 +104,13 @@ const userSchema = new mongoose.Schema({
   locationSet: {
     type: Boolean,
     default: false
+  },
+  favouriteShops: [favouriteShopSchema],
+  favouriteProducts: [favouriteProductSchema],
+  // Push notification tokens of the customer's devices
+  deviceTokens: {
+    type: [deviceTokenSchema],
+    select: false
   }
 }, {
   timestamps: true
@@ -1,36 +1,21 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const User = require('../models/User');
 const Shop = require('../models/Shop');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
+const Review = require('../models/Review');
+const ShopDocument = require('../models/ShopDocument');
+const { ROLES, authenticate, authorize } = require('../middleware/auth');
+const { STATUSES, actorFromAuth, transitionOrder } = require('../services/orderLifecycle');
+const { ServiceError } = require('../services/errors');
+const { MODERATION_STATUSES, ratingParam, moderateReview } = require('../services/reviews');
+const { getShopVerification, reviewShop, listShopsForApproval } = require('../services/shopApproval');
+const { retryRefund } = require('../services/payments/refunds');
 
-// Admin Authentication Middleware
-const adminAuth = async (req, res, next) => {
-  try {
-    const adminKey = req.headers.adminkey || req.headers.adminKey;
-    
-    // Debug log (remove in production)
-    console.log('Received admin key:', adminKey);
-    console.log('Expected admin key:', process.env.ADMIN_KEY);
-    
-    if (!process.env.ADMIN_KEY) {
-      return res.status(500).json({ success: false, message: 'Admin key not configured on server' });
-    }
-    
-    if (!adminKey) {
-      return res.status(403).json({ success: false, message: 'Admin key required' });
-    }
-    
-    if (adminKey !== process.env.ADMIN_KEY) {
-      return res.status(403).json({ success: false, message: 'Invalid admin key' });
-    }
-    
-    next();
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
-};
+// Admin Authentication Middleware (adminKey header, see middleware/auth)
+const adminAuth = [authenticate, authorize(ROLES.ADMIN)];
 
 // Dashboard Stats
 router.get('/stats', adminAuth, async (req, res) => {
@@ -41,7 +26,7 @@ router.get('/stats', adminAuth, async (req, res) => {
       Product.countDocuments(),
       Order.countDocuments(),
       Shop.countDocuments({ isActive: true }),
-      Order.countDocuments({ status: 'pending' })
+      Order.countDocuments({ status: 'Pending' })
     ]);
 
     const recentOrders = await Order.find()
@@ -129,10 +114,55 @@ router.patch('/shops/:id/toggle-status', adminAuth, async (req, res) => {
   }
 });
 
+// Shops Waiting for Approval (?status=submitted|pending|rejected|approved, oldest submission first)
+router.get('/shops/approvals', adminAuth, async (req, res) => {
+  try {
+    const { shops, pagination } = await listShopsForApproval(req.query);
+    res.json({ success: true, shops, pagination });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Shop Verification (documents, missing document types and approval history)
+router.get('/shops/:id/verification', adminAuth, async (req, res) => {
+  try {
+    const verification = await getShopVerification(req.auth, req.params.id);
+    res.json({ success: true, verification });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Approve or Reject a Shop (a reason is required to reject; rejecting an approved shop takes it offline)
+router.patch('/shops/:id/approval', adminAuth, async (req, res) => {
+  try {
+    const { decision, reason } = req.body;
+    const shop = await reviewShop(req.auth, req.params.id, { decision, reason });
+    res.json({ success: true, shop });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { errors: error.details })
+      });
+    }
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Delete Shop
 router.delete('/shops/:id', adminAuth, async (req, res) => {
   try {
     await Product.deleteMany({ shopId: req.params.id });
+    await ShopDocument.deleteMany({ shopId: req.params.id });
     await Shop.findByIdAndDelete(req.params.id);
     res.json({ success: true, message: 'Shop and products deleted' });
   } catch (error) {
@@ -189,17 +219,91 @@ router.get('/orders', adminAuth, async (req, res) => {
   }
 });
 
-// Update Order Status
+// Update Order Status (follows the normal rules unless override: true, which is recorded on the order)
 router.patch('/orders/:id/status', adminAuth, async (req, res) => {
   try {
-    const { status } = req.body;
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true }
-    );
-    res.json({ success: true, order });
+    const { status, reason, override } = req.body;
+
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `Invalid status. Must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    const updated = await transitionOrder(order, status, {
+      actor: actorFromAuth(req.auth),
+      reason,
+      override: override === true
+    });
+    res.json({ success: true, order: updated });
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Retry a Failed Refund (the order must still have captured money to give back)
+router.post('/refunds/:id/retry', adminAuth, async (req, res) => {
+  try {
+    const refund = await retryRefund(req.params.id);
+    res.status(201).json({ success: true, refund });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Get Reviews (?status=published|hidden&shopId=&maxRating=2 to find the ones needing a look)
+router.get('/reviews', adminAuth, async (req, res) => {
+  try {
+    const { status, shopId, maxRating } = req.query;
+    const query = {};
+
+    if (status) {
+      if (!MODERATION_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, message: `Invalid status. Must be one of: ${MODERATION_STATUSES.join(', ')}` });
+      }
+      query.status = status;
+    }
+    if (shopId) {
+      if (!mongoose.Types.ObjectId.isValid(shopId)) {
+        return res.status(400).json({ success: false, message: 'shopId is not valid' });
+      }
+      query.shopId = shopId;
+    }
+    const stars = ratingParam(maxRating, 'maxRating');
+    if (stars) query.rating = { $lte: stars };
+
+    const reviews = await Review.find(query)
+      .populate('shopId', 'name')
+      .sort({ createdAt: -1 })
+      .limit(200);
+    res.json({ success: true, reviews });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Hide or Restore a Review (hidden reviews stop counting towards shop and product ratings)
+router.patch('/reviews/:id/moderation', adminAuth, async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    const review = await moderateReview(req.auth, req.params.id, { status, reason });
+    res.json({ success: true, review });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     res.status(500).json({ success: false, message: error.message });
   }
 });
@@ -0,0 +1,268 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const { buildCartView } = require('../services/cartView');
+const { placeCheckout } = require('../services/orderPlacement');
+const { actorFromAuth } = require('../services/orderLifecycle');
+const { ServiceError } = require('../services/errors');
+const { authenticate, requireUserAccess } = require('../middleware/auth');
+
+router.use('/:userId', authenticate, requireUserAccess(req => req.params.userId));
+
+const parseQuantity = (value, fallback) => {
+  const quantity = value === undefined ? fallback : Number(value);
+  return Number.isInteger(quantity) && quantity >= 0 ? quantity : null;
+};
+
+// GET /api/cart/:userId - Get cart with live prices, grouped by shop
+router.get('/:userId', async (req, res) => {
+  try {
+    const cart = await Cart.getOrCreate(req.params.userId);
+
+    res.json({
+      success: true,
+      data: await buildCartView(cart)
+    });
+  } catch (error) {
+    console.error('Error fetching cart:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch cart',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/cart/:userId/items - Add a product (adds to the quantity if already in the cart)
+router.post('/:userId/items', async (req, res) => {
+  try {
+    const { productId, variantId } = req.body;
+    const quantity = parseQuantity(req.body.quantity, 1);
+
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId) || !quantity) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid productId and a quantity of at least 1 are required'
+      });
+    }
+
+    const product = await Product.findById(productId);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (!product.isAvailable) {
+      return res.status(400).json({
+        success: false,
+        message: `${product.name} is currently unavailable`
+      });
+    }
+
+    const variant = product.hasVariants ? product.findVariant(variantId) : null;
+
+    if (product.hasVariants && !variant) {
+      return res.status(400).json({
+        success: false,
+        message: `Choose an option of ${product.name} (variantId)`
+      });
+    }
+
+    const cart = await Cart.getOrCreate(req.params.userId);
+    const existing = cart.items.find(item => item.productId.toString() === productId &&
+      String(item.variantId || '') === String(variant ? variant._id : ''));
+
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      cart.items.push({ productId, variantId: variant ? variant._id : undefined, shopId: product.shopId, quantity });
+    }
+
+    await cart.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Item added to cart',
+      data: await buildCartView(cart)
+    });
+  } catch (error) {
+    console.error('Error adding cart item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add item to cart',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/cart/:userId/items/:itemId - Change quantity (0 removes the item)
+router.put('/:userId/items/:itemId', async (req, res) => {
+  try {
+    const quantity = parseQuantity(req.body.quantity);
+
+    if (quantity === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'quantity must be a whole number of at least 0'
+      });
+    }
+
+    const cart = await Cart.getOrCreate(req.params.userId);
+    const item = cart.items.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart item not found'
+      });
+    }
+
+    if (quantity === 0) {
+      item.deleteOne();
+    } else {
+      item.quantity = quantity;
+    }
+
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Cart updated',
+      data: await buildCartView(cart)
+    });
+  } catch (error) {
+    console.error('Error updating cart item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update cart',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/cart/:userId/items/:itemId - Remove an item
+router.delete('/:userId/items/:itemId', async (req, res) => {
+  try {
+    const cart = await Cart.getOrCreate(req.params.userId);
+    const item = cart.items.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart item not found'
+      });
+    }
+
+    item.deleteOne();
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Item removed from cart',
+      data: await buildCartView(cart)
+    });
+  } catch (error) {
+    console.error('Error removing cart item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove item from cart',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/cart/:userId - Empty the cart
+router.delete('/:userId', async (req, res) => {
+  try {
+    await Cart.updateOne({ userId: req.params.userId }, { $set: { items: [] } });
+
+    res.json({
+      success: true,
+      message: 'Cart cleared'
+    });
+  } catch (error) {
+    console.error('Error clearing cart:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear cart',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/cart/:userId/checkout - Place the whole cart as one order per shop (all or nothing)
+router.post('/:userId/checkout', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { notes, customerName, paymentMethod, pickupSlots } = req.body;
+
+    const cart = await Cart.getOrCreate(userId);
+
+    if (cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
+    }
+
+    const { checkout, orders } = await placeCheckout({
+      userId,
+      items: cart.items.map(item => ({ productId: item.productId, variantId: item.variantId, quantity: item.quantity })),
+      notes,
+      customerName,
+      paymentMethod,
+      pickupSlots,
+      actor: actorFromAuth(req.auth)
+    });
+
+    // Everything was ordered, so the cart starts over
+    cart.items = [];
+    await cart.save();
+
+    console.log('🛒 Cart checkout:', { userId, checkoutId: checkout._id, orders: orders.length });
+
+    res.status(201).json({
+      success: true,
+      message: `${orders.length} order(s) placed successfully`,
+      data: {
+        checkoutId: checkout._id,
+        checkoutNumber: checkout.checkoutNumber,
+        totalAmount: checkout.totalAmount,
+        paymentMethod: orders[0].paymentMethod,
+        orders: orders.map(order => ({
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          shopId: order.shopId,
+          shopName: order.shopName,
+          pickupPin: order.pickupPin,
+          status: order.status,
+          totalAmount: order.totalAmount,
+          paymentStatus: order.paymentStatus,
+          pickupSlot: order.pickupSlot
+        }))
+      }
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      // Nothing was ordered; the cart is untouched so the customer can fix it
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { errors: error.details })
+      });
+    }
+    console.error('❌ Error checking out cart:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check out cart',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
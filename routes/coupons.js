@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const Coupon = require('../models/Coupon');
+const { createCoupon, updateCoupon, quoteCoupon } = require('../services/coupons');
+const { loadOrderableShop } = require('../services/orderPlacement');
+const { priceOrderItems, roundAmount } = require('../services/pricing');
+const { ServiceError, sendError } = require('../services/errors');
+const { ROLES, authenticate, authorize, canAccessUser, requireShopAccess } = require('../middleware/auth');
+
+// POST /api/coupons - Create a coupon for your shop (admins: also scope 'platform')
+router.post('/', authenticate, authorize(ROLES.SHOP_OWNER), async (req, res) => {
+  try {
+    const coupon = await createCoupon(req.auth, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created',
+      data: coupon
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create coupon');
+  }
+});
+
+// POST /api/coupons/validate - Preview a coupon on a basket ({ code, shopId, items, userId? })
+router.post('/validate', authenticate, authorize(ROLES.CUSTOMER), async (req, res) => {
+  try {
+    const { code, shopId, items } = req.body;
+    const userId = req.body.userId || req.auth.id;
+
+    if (!code || !shopId || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'code, shopId and items are required'
+      });
+    }
+
+    if (!canAccessUser(req.auth, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only check coupons for your own account'
+      });
+    }
+
+    const shop = await loadOrderableShop(shopId);
+    const pricing = await priceOrderItems(shop._id, items);
+
+    if (pricing.errors.length > 0) {
+      throw new ServiceError('Some items in your cart are no longer valid', 409, pricing.errors);
+    }
+
+    const { coupon, line } = await quoteCoupon({ code, shop, userId, pricing });
+
+    res.json({
+      success: true,
+      message: `Coupon ${coupon.code} applied`,
+      data: {
+        code: coupon.code,
+        description: coupon.description,
+        discount: line.amount,
+        subtotal: pricing.totalAmount,
+        totalAmount: roundAmount(pricing.totalAmount - line.amount),
+        validUntil: coupon.validUntil
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to check coupon');
+  }
+});
+
+// GET /api/coupons/platform - Platform-wide coupons (admin)
+router.get('/platform', authenticate, authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const coupons = await Coupon.find({ scope: 'platform' }).sort({ createdAt: -1 }).select('-__v');
+
+    res.json({
+      success: true,
+      count: coupons.length,
+      data: coupons
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch coupons');
+  }
+});
+
+// GET /api/coupons/shop/:shopId - Coupons of a shop (?active=true for the ones switched on)
+router.get('/shop/:shopId', authenticate, requireShopAccess(req => req.params.shopId), async (req, res) => {
+  try {
+    const filter = { shopId: req.params.shopId };
+    if (req.query.active === 'true') filter.isActive = true;
+
+    const coupons = await Coupon.find(filter).sort({ createdAt: -1 }).select('-__v');
+
+    res.json({
+      success: true,
+      count: coupons.length,
+      data: coupons
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch coupons');
+  }
+});
+
+// PUT /api/coupons/:id - Change the terms of a coupon or switch it off ({ isActive: false })
+router.put('/:id', authenticate, authorize(ROLES.SHOP_OWNER), async (req, res) => {
+  try {
+    const coupon = await updateCoupon(req.auth, req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Coupon updated',
+      data: coupon
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update coupon');
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,13 @@ const router = express.Router();
 const Shop = require('../models/Shop');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
+const { isShopOpenNow } = require('../services/shopHours');
+const { couponAnalytics } = require('../services/coupons');
+const { isDateKey } = require('../services/pickupSlots');
+const { ServiceError } = require('../services/errors');
+const { ROLES, authenticate, isAdmin, requireShopAccess } = require('../middleware/auth');
+
+const requireOwnShop = requireShopAccess(req => req.params.shopId);
 
 // Middleware to log response time
 const responseTimeLogger = (req, res, next) => {
@@ -15,6 +22,7 @@ const responseTimeLogger = (req, res, next) => {
 };
 
 router.use(responseTimeLogger);
+router.use(authenticate);
 
 // GET /api/dashboard/summary/:ownerId - Get lightweight dashboard summary
 router.get('/summary/:ownerId', async (req, res) => {
@@ -29,9 +37,16 @@ router.get('/summary/:ownerId', async (req, res) => {
         message: 'ownerId is required'
       });
     }
+    
+    if (!isAdmin(req.auth) && !(req.auth.role === ROLES.SHOP_OWNER && req.auth.id === ownerId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your own dashboard'
+      });
+    }
 
     // Find shop by ownerId
-    const shop = await Shop.findOne({ ownerId }).select('_id name isOpen isActive totalOrders totalRevenue').lean();
+    const shop = await Shop.findOne({ ownerId }).select('_id name isOpen isActive totalOrders totalRevenue timezone openingHours specialHours').lean();
     
     if (!shop) {
       return res.status(404).json({
@@ -49,6 +64,7 @@ router.get('/summary/:ownerId', async (req, res) => {
       totalOrders,
       pendingOrders,
       acceptedOrders,
+      readyOrders,
       completedOrders,
       todayRevenue,
       todayOrders
@@ -61,6 +77,7 @@ router.get('/summary/:ownerId', async (req, res) => {
       Order.countDocuments({ shopId }),
       Order.countDocuments({ shopId, status: 'Pending' }),
       Order.countDocuments({ shopId, status: 'Accepted' }),
+      Order.countDocuments({ shopId, status: 'Ready' }),
       Order.countDocuments({ shopId, status: 'Completed' }),
       
       // Today's stats
@@ -95,6 +112,7 @@ router.get('/summary/:ownerId', async (req, res) => {
           id: shop._id,
           name: shop.name,
           isOpen: shop.isOpen,
+          isOpenNow: isShopOpenNow(shop),
           isActive: shop.isActive
         },
         products: {
@@ -106,6 +124,7 @@ router.get('/summary/:ownerId', async (req, res) => {
           total: totalOrders,
           pending: pendingOrders,
           accepted: acceptedOrders,
+          ready: readyOrders,
           completed: completedOrders
         },
         revenue: {
@@ -129,7 +148,7 @@ router.get('/summary/:ownerId', async (req, res) => {
 });
 
 // GET /api/dashboard/products/:shopId - Get paginated products
-router.get('/products/:shopId', async (req, res) => {
+router.get('/products/:shopId', requireOwnShop, async (req, res) => {
   const startTime = Date.now();
   
   try {
@@ -145,20 +164,26 @@ router.get('/products/:shopId', async (req, res) => {
     
     const [products, total] = await Promise.all([
       Product.find(query)
-        .select('name price category imageUrls isAvailable stock')
+        .select('name price category imageUrls isAvailable stock variants')
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit))
         .lean(),
       Product.countDocuments(query)
     ]);
+    
+    // The list shows a summary; full variants come from GET /api/products/:id
+    const data = products.map(({ variants, ...product }) => ({
+      ...product,
+      variantSummary: Product.variantSummary({ variants })
+    }));
 
     const responseTime = Date.now() - startTime;
 
     res.json({
       success: true,
       responseTime: `${responseTime}ms`,
-      data: products,
+      data,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -178,24 +203,50 @@ router.get('/products/:shopId', async (req, res) => {
 });
 
 // GET /api/dashboard/orders/:shopId - Get paginated orders
-router.get('/orders/:shopId', async (req, res) => {
+router.get('/orders/:shopId', requireOwnShop, async (req, res) => {
   const startTime = Date.now();
   
   try {
     const { shopId } = req.params;
-    const { page = 1, limit = 10, status } = req.query;
+    const { page = 1, limit = 10, status, slotDate, slotFrom, slotTo, sort } = req.query;
     
     const query = { shopId };
     if (status) {
       query.status = status;
     }
     
+    // Pickup slot filters: a local date, or a time range (ISO) on the slot start
+    const invalidTime = [slotFrom, slotTo].some(value => value && (typeof value !== 'string' || isNaN(new Date(value))));
+    if ((slotDate && !isDateKey(slotDate)) || invalidTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'slotDate must be a calendar date (YYYY-MM-DD) and slotFrom/slotTo ISO dates'
+      });
+    }
+    if (slotDate) {
+      query['pickupSlot.date'] = slotDate;
+    }
+    if (slotFrom || slotTo) {
+      query['pickupSlot.startsAt'] = {
+        ...(slotFrom && { $gte: new Date(slotFrom) }),
+        ...(slotTo && { $lt: new Date(slotTo) })
+      };
+    }
+    
+    // sort=slot lists orders with a booked slot, earliest pickup first
+    if (sort === 'slot') {
+      query['pickupSlot.startsAt'] = { ...query['pickupSlot.startsAt'], $exists: true };
+    }
+    const sortBy = sort === 'slot'
+      ? { 'pickupSlot.startsAt': 1, createdAt: -1 }
+      : { createdAt: -1 };
+    
     const skip = (page - 1) * limit;
     
     const [orders, total] = await Promise.all([
       Order.find(query)
-        .select('orderNumber status totalAmount customerName items createdAt pickupPin')
-        .sort({ createdAt: -1 })
+        .select('orderNumber status totalAmount customerName items pickupSlot expiresAt createdAt')
+        .sort(sortBy)
         .skip(skip)
         .limit(parseInt(limit))
         .lean(),
@@ -227,7 +278,7 @@ router.get('/orders/:shopId', async (req, res) => {
 });
 
 // GET /api/dashboard/recent-activity/:shopId - Get recent activity
-router.get('/recent-activity/:shopId', async (req, res) => {
+router.get('/recent-activity/:shopId', requireOwnShop, async (req, res) => {
   const startTime = Date.now();
   
   try {
@@ -258,7 +309,7 @@ router.get('/recent-activity/:shopId', async (req, res) => {
 });
 
 // GET /api/dashboard/stats/:shopId - Get detailed stats
-router.get('/stats/:shopId', async (req, res) => {
+router.get('/stats/:shopId', requireOwnShop, async (req, res) => {
   const startTime = Date.now();
   
   try {
@@ -320,4 +371,34 @@ router.get('/stats/:shopId', async (req, res) => {
   }
 });
 
+// GET /api/dashboard/coupons/:shopId - Coupon redemptions, discounts given and order value (?days=30)
+router.get('/coupons/:shopId', requireOwnShop, async (req, res) => {
+  const startTime = Date.now();
+  
+  try {
+    const analytics = await couponAnalytics(req.params.shopId, { days: req.query.days });
+    
+    const responseTime = Date.now() - startTime;
+    
+    res.json({
+      success: true,
+      responseTime: `${responseTime}ms`,
+      data: analytics
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('❌ Coupon analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load coupon analytics',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { subscribe } = require('../services/orderStream');
+
+// EventSource cannot send headers, so the stream also accepts ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// GET /api/events/orders - Server-Sent Events stream of order changes
+// Shops receive their shop's orders, customers their own, admins everything.
+router.get('/orders', tokenFromQuery, authenticate, async (req, res) => {
+  try {
+    const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+
+    console.log('📡 Order stream opened:', { role: req.auth.role, id: req.auth.id });
+
+    await subscribe(req, res, lastEventId);
+  } catch (error) {
+    console.error('❌ Order stream error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to open order stream',
+        error: error.message
+      });
+    }
+    res.end();
+  }
+});
+
+module.exports = router;
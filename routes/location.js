@@ -1,9 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const Shop = require('../models/Shop');
+const { isShopOpenNow } = require('../services/shopHours');
+const { authenticate, requireShopAccess } = require('../middleware/auth');
+const { searchProducts } = require('../services/productSearch');
+const { ServiceError } = require('../services/errors');
 
 // Save shop location
-router.post('/shop/location', async (req, res) => {
+router.post('/shop/location', authenticate, requireShopAccess(req => req.body.shopId), async (req, res) => {
   try {
     const { shopId, latitude, longitude, deliveryRadius } = req.body;
 
@@ -70,7 +74,7 @@ router.post('/shop/location', async (req, res) => {
 // Get nearby shops
 router.post('/shops/nearby', async (req, res) => {
   try {
-    const { latitude, longitude, maxDistance } = req.body;
+    const { latitude, longitude, maxDistance, openNow } = req.body;
 
     if (!latitude || !longitude) {
       return res.status(400).json({
@@ -93,7 +97,7 @@ router.post('/shops/nearby', async (req, res) => {
       },
       isActive: true,
       isApproved: true
-    }).select('name description category address phone location deliveryRadius rating totalOrders imageUrl');
+    }).select('name description category address phone location deliveryRadius rating totalOrders imageUrl isOpen timezone openingHours specialHours');
 
     const shopsWithDistance = shops.map(shop => {
       const distance = calculateDistance(
@@ -105,15 +109,18 @@ router.post('/shops/nearby', async (req, res) => {
 
       return {
         ...shop.toObject(),
+        isOpenNow: shop.isOpenNow,
         distance: parseFloat(distance.toFixed(2)),
         withinDeliveryRadius: distance <= shop.deliveryRadius
       };
     });
 
+    const data = filterOpenNow(shopsWithDistance, openNow);
+
     res.json({
       success: true,
-      count: shopsWithDistance.length,
-      data: shopsWithDistance
+      count: data.length,
+      data
     });
   } catch (error) {
     console.error('Error fetching nearby shops:', error);
@@ -128,7 +135,7 @@ router.post('/shops/nearby', async (req, res) => {
 // Get shops within delivery radius
 router.post('/shops/deliverable', async (req, res) => {
   try {
-    const { latitude, longitude } = req.body;
+    const { latitude, longitude, openNow } = req.body;
 
     if (!latitude || !longitude) {
       return res.status(400).json({
@@ -177,6 +184,10 @@ router.post('/shops/deliverable', async (req, res) => {
           rating: 1,
           totalOrders: 1,
           imageUrl: 1,
+          isOpen: 1,
+          timezone: 1,
+          openingHours: 1,
+          specialHours: 1,
           distance: { $round: ['$distance', 2] }
         }
       },
@@ -185,10 +196,12 @@ router.post('/shops/deliverable', async (req, res) => {
       }
     ]);
 
+    const data = filterOpenNow(withOpenState(shops), openNow);
+
     res.json({
       success: true,
-      count: shops.length,
-      data: shops
+      count: data.length,
+      data
     });
   } catch (error) {
     console.error('Error fetching deliverable shops:', error);
@@ -203,7 +216,7 @@ router.post('/shops/deliverable', async (req, res) => {
 // Get shops within specific radius
 router.get('/shops/radius', async (req, res) => {
   try {
-    const { latitude, longitude, radius } = req.query;
+    const { latitude, longitude, radius, openNow } = req.query;
 
     if (!latitude || !longitude) {
       return res.status(400).json({
@@ -243,6 +256,10 @@ router.get('/shops/radius', async (req, res) => {
           rating: 1,
           totalOrders: 1,
           imageUrl: 1,
+          isOpen: 1,
+          timezone: 1,
+          openingHours: 1,
+          specialHours: 1,
           distance: { $round: ['$distance', 2] }
         }
       },
@@ -251,11 +268,13 @@ router.get('/shops/radius', async (req, res) => {
       }
     ]);
 
+    const data = filterOpenNow(withOpenState(shops), openNow);
+
     res.json({
       success: true,
-      count: shops.length,
+      count: data.length,
       searchRadius: searchRadius,
-      data: shops
+      data
     });
   } catch (error) {
     console.error('Error fetching shops by radius:', error);
@@ -267,6 +286,59 @@ router.get('/shops/radius', async (req, res) => {
   }
 });
 
+// Find products in nearby shops ("milk near me"), closest shop first or by relevance
+router.get('/products/nearby', async (req, res) => {
+  try {
+    const { latitude, longitude, q } = req.query;
+
+    if (!latitude || !longitude) {
+      return res.status(400).json({
+        success: false,
+        message: 'Latitude and longitude are required'
+      });
+    }
+
+    const { products, facets, pagination } = await searchProducts({
+      ...req.query,
+      sort: req.query.sort || (q ? 'relevance' : 'distance')
+    });
+
+    res.json({
+      success: true,
+      count: products.length,
+      searchRadius: Math.min(parseFloat(req.query.radius) || 10, 50),
+      data: products,
+      facets,
+      pagination
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error finding nearby products:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Aggregation results are plain objects, so the Shop virtual is not available
+function withOpenState(shops) {
+  return shops.map(shop => ({ ...shop, isOpenNow: isShopOpenNow(shop) }));
+}
+
+// openNow=true keeps only shops taking orders right now
+function filterOpenNow(shops, openNow) {
+  if (openNow === undefined) return shops;
+  const wanted = openNow === true || openNow === 'true';
+  return shops.filter(shop => shop.isOpenNow === wanted);
+}
+
 function calculateDistance(lat1, lon1, lat2, lon2) {
   const R = 6371;
   const dLat = toRad(lat2 - lat1);
@@ -286,7 +358,7 @@ function toRad(degrees) {
 module.exports = router;
 
 // Check if shop location is set
-router.get('/shop/:shopId/status', async (req, res) => {
+router.get('/shop/:shopId/status', authenticate, requireShopAccess(req => req.params.shopId), async (req, res) => {
   try {
     const { shopId } = req.params;
 
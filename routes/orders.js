@@ -1,85 +1,67 @@
 const express = require('express');
 const router = express.Router();
 const Order = require('../models/Order');
-const Shop = require('../models/Shop');
+const Checkout = require('../models/Checkout');
+const Refund = require('../models/Refund');
+const { placeOrder, placeCheckout } = require('../services/orderPlacement');
+const { STATUSES, actorFromAuth, transitionOrder } = require('../services/orderLifecycle');
+const { adjustOrderItems } = require('../services/orderAdjustments');
+const { reorder } = require('../services/reorder');
+const { ServiceError } = require('../services/errors');
+const { signPickupToken, verifyPickupToken, isCurrentForOrder, renderPickupQr } = require('../services/pickupToken');
+const {
+  ROLES,
+  authenticate,
+  authorize,
+  canAccessShop,
+  canAccessUser,
+  requireShopAccess,
+  requireUserAccess
+} = require('../middleware/auth');
 
 // POST /api/orders - Place new order
-router.post('/', async (req, res) => {
+router.post('/', authenticate, authorize(ROLES.CUSTOMER), async (req, res) => {
   try {
     const {
       userId,
       shopId,
       items,
-      totalAmount,
       notes,
-      customerName
+      customerName,
+      paymentMethod,
+      pickupSlot,
+      couponCode
     } = req.body;
     
-    console.log('📦 New order request:', { userId, shopId, itemsCount: items?.length, totalAmount });
+    console.log('📦 New order request:', { userId, shopId, itemsCount: items?.length, couponCode });
     
-    // Validation
-    if (!userId || !shopId || !items || !Array.isArray(items) || items.length === 0 || !totalAmount) {
+    // Validation (prices and totals are computed on the server)
+    if (!userId || !shopId || !items || !Array.isArray(items) || items.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'userId, shopId, items, and totalAmount are required'
+        message: 'userId, shopId, and items are required'
       });
     }
     
-    // Get shop details
-    const shop = await Shop.findById(shopId);
-    
-    if (!shop) {
-      return res.status(404).json({
-        success: false,
-        message: 'Shop not found'
-      });
-    }
-    
-    if (!shop.isActive || !shop.isApproved) {
-      return res.status(400).json({
+    if (!canAccessUser(req.auth, userId)) {
+      return res.status(403).json({
         success: false,
-        message: 'Shop is not available for orders'
+        message: 'You can only place orders for your own account'
       });
     }
     
-    // Generate 4-digit pickup PIN
-    const pickupPin = Order.generatePickupPin();
-    
-    console.log('🔢 Generated PIN:', pickupPin);
-    
-    // Create order
-    const order = new Order({
+    const order = await placeOrder({
       userId,
       shopId,
-      shopName: shop.name,
-      shopAddress: shop.address,
-      shopLatitude: shop.location?.coordinates?.[1], // latitude is second in GeoJSON
-      shopLongitude: shop.location?.coordinates?.[0], // longitude is first in GeoJSON
       items,
-      totalAmount,
-      pickupPin,
-      notes: notes?.trim() || '',
-      customerName: customerName?.trim() || 'Guest',
-      status: 'Pending'
-    });
-    
-    await order.save();
-    
-    console.log('✅ Order created:', order._id);
-    
-    // Update shop stats
-    await Shop.findByIdAndUpdate(shopId, {
-      $inc: { totalOrders: 1 }
+      notes,
+      customerName,
+      paymentMethod,
+      pickupSlot,
+      couponCode,
+      actor: actorFromAuth(req.auth)
     });
     
-    // Update user stats
-    const User = require('../models/User');
-    await User.findOneAndUpdate(
-      { userId },
-      { $inc: { totalOrders: 1, totalSpent: totalAmount } },
-      { upsert: true }
-    );
-    
     res.status(201).json({
       success: true,
       message: 'Order placed successfully',
@@ -87,13 +69,29 @@ router.post('/', async (req, res) => {
         orderId: order._id,
         orderNumber: order.orderNumber,
         pickupPin: order.pickupPin,
+        pickupToken: signPickupToken(order),
         status: order.status,
+        items: order.items,
+        subtotal: order.subtotal,
+        discounts: order.discounts,
+        discountAmount: order.discountAmount,
         totalAmount: order.totalAmount,
+        paymentMethod: order.paymentMethod,
+        paymentStatus: order.paymentStatus,
+        pickupSlot: order.pickupSlot,
+        expiresAt: order.expiresAt,
         shopName: order.shopName,
         createdAt: order.createdAt
       }
     });
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { errors: error.details })
+      });
+    }
     console.error('❌ Error placing order:', error);
     res.status(500).json({
       success: false,
@@ -103,12 +101,180 @@ router.post('/', async (req, res) => {
   }
 });
 
+// Shared summary of a checkout and its per-shop orders
+const checkoutSummary = (checkout, orders, includePickup = false) => ({
+  checkoutId: checkout._id,
+  checkoutNumber: checkout.checkoutNumber,
+  shopCount: checkout.shopCount,
+  itemCount: checkout.itemCount,
+  totalAmount: checkout.totalAmount,
+  createdAt: checkout.createdAt,
+  orders: orders.map(order => ({
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    shopId: order.shopId,
+    shopName: order.shopName,
+    shopAddress: order.shopAddress,
+    status: order.status,
+    itemCount: order.items.length,
+    totalAmount: order.totalAmount,
+    paymentMethod: order.paymentMethod,
+    paymentStatus: order.paymentStatus,
+    pickupSlot: order.pickupSlot,
+    ...(includePickup && {
+      pickupPin: order.pickupPin,
+      pickupToken: signPickupToken(order)
+    })
+  }))
+});
+
+// POST /api/orders/checkout - Place a multi-shop cart as linked per-shop orders (all or nothing)
+router.post('/checkout', authenticate, authorize(ROLES.CUSTOMER), async (req, res) => {
+  try {
+    const { userId, items, notes, customerName, paymentMethod, pickupSlots } = req.body;
+    
+    console.log('🧾 Checkout request:', { userId, itemsCount: items?.length });
+    
+    if (!userId || !items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'userId and items are required'
+      });
+    }
+    
+    if (!canAccessUser(req.auth, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only place orders for your own account'
+      });
+    }
+    
+    const { checkout, orders } = await placeCheckout({
+      userId,
+      items,
+      notes,
+      customerName,
+      paymentMethod,
+      pickupSlots,
+      actor: actorFromAuth(req.auth)
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: `${orders.length} order(s) placed successfully`,
+      data: checkoutSummary(checkout, orders, true)
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { errors: error.details })
+      });
+    }
+    console.error('❌ Error during checkout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to place orders',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/orders/checkout/:checkoutId - Combined view of a multi-shop checkout
+router.get('/checkout/:checkoutId', authenticate, async (req, res) => {
+  try {
+    const checkout = await Checkout.findById(req.params.checkoutId);
+    
+    if (!checkout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checkout not found'
+      });
+    }
+    
+    if (!canAccessUser(req.auth, checkout.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your own checkouts'
+      });
+    }
+    
+    const orders = await Order.find({ checkoutId: checkout._id }).sort({ shopName: 1 });
+    
+    res.json({
+      success: true,
+      data: checkoutSummary(checkout, orders, true)
+    });
+  } catch (error) {
+    console.error('Error fetching checkout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch checkout',
+      error: error.message
+    });
+  }
+});
+
+// Online payment statuses that allow handover (a partial refund still leaves the rest paid)
+const PAID_STATUSES = ['captured', 'partially_refunded'];
+
+// Why an order cannot be handed over right now (null if it can)
+const pickupBlockReason = (order) => {
+  switch (order.status) {
+    case 'Completed':
+      return 'Order is already completed';
+    case 'Cancelled':
+      return 'Order is cancelled';
+    case 'Expired':
+      return 'Order has expired';
+    case 'Accepted':
+    case 'Ready':
+      break;
+    default:
+      return 'Order must be accepted before pickup';
+  }
+  
+  // Prepaid orders are only handed over once the gateway has captured the money
+  if (order.paymentMethod === 'online' && !PAID_STATUSES.includes(order.paymentStatus)) {
+    return 'Order has not been paid yet';
+  }
+  
+  return null;
+};
+
+// Hand the order over: shared by PIN and QR token verification
+const completePickup = async (order, auth, method) => {
+  const completed = await transitionOrder(order, 'Completed', {
+    actor: actorFromAuth(auth),
+    reason: `Picked up (${method})`,
+    // Re-checked in the update in case a payment changed since the order was read
+    condition: order.paymentMethod === 'online' ? { paymentStatus: { $in: PAID_STATUSES } } : {},
+    set: { pinAttempts: 0 }
+  });
+  
+  console.log('✅ Order completed:', completed._id);
+  
+  return completed;
+};
+
+const pickupResponse = (order) => ({
+  success: true,
+  message: 'Order completed successfully',
+  data: {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    completedAt: order.completedAt
+  }
+});
+
 // POST /api/orders/verify-pin - Verify order PIN for pickup
-router.post('/verify-pin', async (req, res) => {
+router.post('/verify-pin', authenticate, authorize(ROLES.SHOP_OWNER), async (req, res) => {
   try {
     const { orderId, pickupPin } = req.body;
     
-    console.log('🔍 Verifying PIN:', { orderId, pickupPin });
+    console.log('🔍 Verifying PIN:', { orderId });
     
     if (!orderId || !pickupPin) {
       return res.status(400).json({
@@ -127,70 +293,155 @@ router.post('/verify-pin', async (req, res) => {
       });
     }
     
-    // Check if order is already completed or cancelled
-    if (order.status === 'Completed') {
+    if (!canAccessShop(req.auth, order.shopId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only verify orders of your own shop'
+      });
+    }
+    
+    const blockReason = pickupBlockReason(order);
+    if (blockReason) {
       return res.status(400).json({
         success: false,
-        message: 'Order is already completed'
+        message: blockReason
       });
     }
     
-    if (order.status === 'Cancelled') {
+    // Claim one attempt atomically so parallel guesses cannot exceed the limit
+    const maxAttempts = Order.maxPinAttempts();
+    const attempt = await Order.findOneAndUpdate(
+      { _id: order._id, pinAttempts: { $lt: maxAttempts } },
+      { $inc: { pinAttempts: 1 } },
+      { new: true }
+    ).select('pickupPin pinAttempts');
+    
+    if (!attempt) {
+      return res.status(423).json({
+        success: false,
+        message: 'Too many wrong PINs. Ask the customer to generate a new PIN.'
+      });
+    }
+    
+    // Verify PIN
+    if (attempt.pickupPin !== pickupPin.toString()) {
+      const lockedNow = attempt.pinAttempts >= maxAttempts;
+      
+      await Order.updateOne({ _id: order._id }, {
+        $push: {
+          failedPinAttempts: {
+            $each: [{ attemptedAt: new Date(), actorId: req.auth.id, ip: req.ip }],
+            $slice: -50
+          }
+        },
+        ...(lockedNow && { $set: { pinLockedAt: new Date() } })
+      });
+      
+      console.warn('⚠️  Wrong PIN for order:', { orderId, attempts: attempt.pinAttempts });
+      
+      return res.status(lockedNow ? 423 : 400).json({
+        success: false,
+        message: lockedNow ? 'Too many wrong PINs. Ask the customer to generate a new PIN.' : 'Invalid PIN',
+        attemptsRemaining: Math.max(maxAttempts - attempt.pinAttempts, 0)
+      });
+    }
+    
+    const completed = await completePickup(order, req.auth, 'PIN');
+    
+    res.json(pickupResponse(completed));
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('❌ Error verifying PIN:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify PIN',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/orders/verify-pickup-token - Verify a scanned pickup QR code
+router.post('/verify-pickup-token', authenticate, authorize(ROLES.SHOP_OWNER), async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
       return res.status(400).json({
         success: false,
-        message: 'Order is cancelled'
+        message: 'token is required'
       });
     }
     
-    // Check if order is accepted
-    if (order.status !== 'Accepted') {
+    let payload;
+    try {
+      payload = verifyPickupToken(token);
+    } catch (error) {
       return res.status(400).json({
         success: false,
-        message: 'Order must be accepted before pickup'
+        message: 'Invalid or expired pickup code'
       });
     }
     
-    // Verify PIN
-    if (order.pickupPin !== pickupPin.toString()) {
+    const order = await Order.findById(payload.oid);
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+    
+    if (!canAccessShop(req.auth, order.shopId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only verify orders of your own shop'
+      });
+    }
+    
+    // Tokens issued before the PIN was regenerated are revoked
+    if (!isCurrentForOrder(payload, order)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid PIN'
+        message: 'Pickup code has been replaced, ask the customer to refresh it'
       });
     }
     
-    // Mark order as completed
-    order.status = 'Completed';
-    await order.save();
+    const blockReason = pickupBlockReason(order);
+    if (blockReason) {
+      return res.status(400).json({
+        success: false,
+        message: blockReason
+      });
+    }
     
-    console.log('✅ Order completed:', orderId);
+    console.log('🔍 Verifying pickup token:', { orderId: order._id });
     
-    // Update shop revenue
-    await Shop.findByIdAndUpdate(order.shopId, {
-      $inc: { totalRevenue: order.totalAmount }
-    });
+    const completed = await completePickup(order, req.auth, 'QR code');
     
-    res.json({
-      success: true,
-      message: 'Order completed successfully',
-      data: {
-        orderId: order._id,
-        orderNumber: order.orderNumber,
-        status: order.status,
-        completedAt: order.completedAt
-      }
-    });
+    res.json(pickupResponse(completed));
   } catch (error) {
-    console.error('❌ Error verifying PIN:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('❌ Error verifying pickup token:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to verify PIN',
+      message: 'Failed to verify pickup code',
       error: error.message
     });
   }
 });
 
 // GET /api/orders/verify/:pickupCode - Verify pickup code (legacy support)
-router.get('/verify/:pickupCode', async (req, res) => {
+router.get('/verify/:pickupCode', authenticate, authorize(ROLES.SHOP_OWNER), async (req, res) => {
   try {
     const { pickupCode } = req.params;
     
@@ -212,6 +463,13 @@ router.get('/verify/:pickupCode', async (req, res) => {
       });
     }
     
+    if (!canAccessShop(req.auth, order.shopId?._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only verify orders of your own shop'
+      });
+    }
+    
     // Check if order is expired
     if (order.isExpired) {
       return res.status(400).json({
@@ -242,18 +500,172 @@ router.get('/verify/:pickupCode', async (req, res) => {
   }
 });
 
+// GET /api/orders/:id/pickup-qr - Pickup token as a QR image (?format=png|svg)
+router.get('/:id/pickup-qr', authenticate, authorize(ROLES.CUSTOMER), async (req, res) => {
+  try {
+    const format = req.query.format === 'svg' ? 'svg' : 'png';
+    
+    const order = await Order.findById(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+    
+    if (!canAccessUser(req.auth, order.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only access your own orders'
+      });
+    }
+    
+    const image = await renderPickupQr(signPickupToken(order), format);
+    
+    res.set('Cache-Control', 'no-store');
+    res.type(format === 'svg' ? 'image/svg+xml' : 'image/png').send(image);
+  } catch (error) {
+    console.error('❌ Error rendering pickup QR:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate pickup QR code',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/orders/:id/reorder - Buy a past order again ({ target: 'cart' | 'order', paymentMethod, pickupSlot, notes })
+router.post('/:id/reorder', authenticate, authorize(ROLES.CUSTOMER), async (req, res) => {
+  try {
+    const { target, paymentMethod, pickupSlot, notes } = req.body;
+    
+    const result = await reorder(req.auth, req.params.id, {
+      target,
+      paymentMethod,
+      pickupSlot,
+      notes,
+      actor: actorFromAuth(req.auth)
+    });
+    
+    const skipped = result.unavailable.length > 0 ? ` (${result.unavailable.length} item(s) no longer available)` : '';
+    const data = {
+      target: result.target,
+      items: result.items,
+      unavailable: result.unavailable
+    };
+    
+    if (result.order) {
+      return res.status(201).json({
+        success: true,
+        message: `Order placed again${skipped}`,
+        data: {
+          ...data,
+          order: {
+            orderId: result.order._id,
+            orderNumber: result.order.orderNumber,
+            pickupPin: result.order.pickupPin,
+            pickupToken: signPickupToken(result.order),
+            status: result.order.status,
+            items: result.order.items,
+            totalAmount: result.order.totalAmount,
+            paymentMethod: result.order.paymentMethod,
+            paymentStatus: result.order.paymentStatus,
+            pickupSlot: result.order.pickupSlot,
+            expiresAt: result.order.expiresAt,
+            shopName: result.order.shopName
+          }
+        }
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `Items added to your cart${skipped}`,
+      data: { ...data, cart: result.cart }
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { errors: error.details })
+      });
+    }
+    console.error('❌ Error reordering:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reorder',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/orders/:id/regenerate-pin - Issue a new pickup PIN (customer)
+router.post('/:id/regenerate-pin', authenticate, authorize(ROLES.CUSTOMER), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+    
+    if (!canAccessUser(req.auth, order.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage your own orders'
+      });
+    }
+    
+    if (!['Accepted', 'Ready'].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'PIN can only be regenerated for accepted or ready orders'
+      });
+    }
+    
+    order.pickupPin = Order.generatePickupPin();
+    order.pinAttempts = 0;
+    order.pinLockedAt = undefined;
+    order.pinRegeneratedAt = new Date();
+    
+    await order.save();
+    
+    console.log('🔁 Pickup PIN regenerated:', order._id);
+    
+    res.json({
+      success: true,
+      message: 'New pickup PIN generated',
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        pickupPin: order.pickupPin
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error regenerating PIN:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate PIN',
+      error: error.message
+    });
+  }
+});
+
 // PUT /api/orders/:id/status - Update order status
-router.put('/:id/status', async (req, res) => {
+router.put('/:id/status', authenticate, async (req, res) => {
   try {
     const { status, cancellationReason } = req.body;
     
     console.log('📝 Updating order status:', { orderId: req.params.id, status });
     
-    const validStatuses = ['Pending', 'Accepted', 'Completed', 'Cancelled'];
-    if (!validStatuses.includes(status)) {
+    if (!STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid status. Must be: Pending, Accepted, Completed, or Cancelled'
+        message: `Invalid status. Must be one of: ${STATUSES.join(', ')}`
       });
     }
     
@@ -265,61 +677,161 @@ router.put('/:id/status', async (req, res) => {
       });
     }
     
-    // Check if status transition is valid
-    const currentStatus = order.status;
-    const validTransitions = {
-      'Pending': ['Accepted', 'Cancelled'],
-      'Accepted': ['Completed', 'Cancelled'],
-      'Completed': [],
-      'Cancelled': []
-    };
+    // Shops manage their own orders; customers may only cancel theirs
+    if (!canAccessShop(req.auth, order.shopId) && !(canAccessUser(req.auth, order.userId) && status === 'Cancelled')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update this order'
+      });
+    }
+    
+    // Transition rules, timestamps, stock and counters live in the lifecycle service
+    const updated = await transitionOrder(order, status, {
+      actor: actorFromAuth(req.auth),
+      reason: status === 'Cancelled' ? cancellationReason : undefined
+    });
+    
+    console.log('✅ Order status updated:', { orderId: updated._id, newStatus: status });
     
-    if (!validTransitions[currentStatus].includes(status)) {
+    res.json({
+      success: true,
+      message: `Order ${status.toLowerCase()} successfully`,
+      data: {
+        orderId: updated._id,
+        orderNumber: updated.orderNumber,
+        status: updated.status
+      }
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('❌ Error updating order status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update order status',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/orders/:id/items - Shop removes items or reduces quantities before pickup
+router.patch('/:id/items', authenticate, authorize(ROLES.SHOP_OWNER), async (req, res) => {
+  try {
+    const { items, reason } = req.body;
+    
+    if (!items || !Array.isArray(items) || items.length === 0) {
       return res.status(400).json({
         success: false,
-        message: `Cannot change status from ${currentStatus} to ${status}`
+        message: 'items must list at least one { itemId, quantity } change'
       });
     }
     
-    // Update order
-    order.status = status;
-    if (status === 'Cancelled' && cancellationReason) {
-      order.cancellationReason = cancellationReason.trim();
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
     }
     
-    await order.save();
+    if (!canAccessShop(req.auth, order.shopId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only change orders of your own shop'
+      });
+    }
+    
+    const { order: updated, refund, amount } = await adjustOrderItems(order, items, {
+      actor: actorFromAuth(req.auth),
+      reason
+    });
+    
+    res.json({
+      success: true,
+      message: 'Order items updated',
+      data: {
+        orderId: updated._id,
+        orderNumber: updated.orderNumber,
+        status: updated.status,
+        items: updated.items,
+        subtotal: updated.subtotal,
+        discounts: updated.discounts,
+        discountAmount: updated.discountAmount,
+        totalAmount: updated.totalAmount,
+        removedAmount: amount,
+        paymentStatus: updated.paymentStatus,
+        refund: refund && {
+          refundId: refund._id,
+          amount: refund.amount,
+          status: refund.status
+        }
+      }
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { errors: error.details })
+      });
+    }
+    console.error('❌ Error adjusting order items:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update order items',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/orders/:id/refunds - Refunds issued for a prepaid order
+router.get('/:id/refunds', authenticate, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('userId shopId totalAmount paymentStatus refundedAmount itemAdjustments');
     
-    console.log('✅ Order status updated:', { orderId: order._id, newStatus: status });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
     
-    // Update shop revenue if order is completed
-    if (status === 'Completed') {
-      await Shop.findByIdAndUpdate(order.shopId, {
-        $inc: { totalRevenue: order.totalAmount }
+    if (!canAccessUser(req.auth, order.userId) && !canAccessShop(req.auth, order.shopId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this order'
       });
     }
     
+    const refunds = await Refund.find({ orderId: order._id }).sort({ createdAt: -1 }).select('-__v');
+    
     res.json({
       success: true,
-      message: `Order ${status.toLowerCase()} successfully`,
       data: {
         orderId: order._id,
-        orderNumber: order.orderNumber,
-        status: order.status,
-        pickupPin: order.pickupPin
+        totalAmount: order.totalAmount,
+        paymentStatus: order.paymentStatus,
+        refundedAmount: order.refundedAmount,
+        itemAdjustments: order.itemAdjustments,
+        refunds
       }
     });
   } catch (error) {
-    console.error('❌ Error updating order status:', error);
+    console.error('Error fetching refunds:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update order status',
+      message: 'Failed to fetch refunds',
       error: error.message
     });
   }
 });
 
 // GET /api/orders/shop/:shopId - Get orders for a shop
-router.get('/shop/:shopId', async (req, res) => {
+router.get('/shop/:shopId', authenticate, requireShopAccess(req => req.params.shopId), async (req, res) => {
   try {
     const { shopId } = req.params;
     const { status, page = 1, limit = 20 } = req.query;
@@ -336,7 +848,7 @@ router.get('/shop/:shopId', async (req, res) => {
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit))
-      .select('-__v');
+      .select('-__v -pickupPin');
     
     const total = await Order.countDocuments(query);
     
@@ -361,7 +873,7 @@ router.get('/shop/:shopId', async (req, res) => {
 });
 
 // GET /api/orders/user/:userId - Get orders for a user
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', authenticate, requireUserAccess(req => req.params.userId), async (req, res) => {
   try {
     const { userId } = req.params;
     const { page = 1, limit = 20 } = req.query;
@@ -376,9 +888,22 @@ router.get('/user/:userId', async (req, res) => {
     
     const total = await Order.countDocuments({ userId });
     
+    // Orders from a multi-shop checkout are also summarised together
+    const checkoutIds = [...new Set(orders.filter(order => order.checkoutId).map(order => order.checkoutId.toString()))];
+    const checkouts = checkoutIds.length > 0
+      ? await Checkout.find({ _id: { $in: checkoutIds } }).sort({ createdAt: -1 })
+      : [];
+    const linkedOrders = checkouts.length > 0
+      ? await Order.find({ checkoutId: { $in: checkoutIds } }).select('checkoutId shopId shopName shopAddress status items totalAmount paymentMethod paymentStatus pickupSlot')
+      : [];
+    
     res.json({
       success: true,
       data: orders,
+      checkouts: checkouts.map(checkout => checkoutSummary(
+        checkout,
+        linkedOrders.filter(order => order.checkoutId.toString() === checkout._id.toString())
+      )),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -396,8 +921,68 @@ router.get('/user/:userId', async (req, res) => {
   }
 });
 
+// Orders placed before statusHistory existed: rebuild what the timestamps tell us
+const legacyTimeline = (order) => [
+  ['Pending', order.createdAt],
+  ['Accepted', order.acceptedAt],
+  ['Ready', order.readyAt],
+  ['Completed', order.completedAt],
+  ['Cancelled', order.cancelledAt],
+  ['Expired', order.expiredAt]
+]
+  .filter(([, at]) => at)
+  .sort((a, b) => a[1] - b[1])
+  .map(([to, at], index, entries) => ({
+    from: index === 0 ? null : entries[index - 1][0],
+    to,
+    at
+  }));
+
+// GET /api/orders/:id/timeline - Status history for the customer and shop apps
+router.get('/:id/timeline', authenticate, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .select('userId shopId status statusHistory createdAt acceptedAt readyAt completedAt cancelledAt expiredAt');
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+    
+    if (!canAccessUser(req.auth, order.userId) && !canAccessShop(req.auth, order.shopId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this order'
+      });
+    }
+    
+    const timeline = order.statusHistory.length > 0
+      ? order.statusHistory.map(entry => entry.toObject())
+      : legacyTimeline(order);
+    
+    res.json({
+      success: true,
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        timeline
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching order timeline:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order timeline',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/orders/:id - Get order by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', authenticate, async (req, res) => {
   try {
     const order = await Order.findById(req.params.id)
       .populate('shopId', 'name address phone')
@@ -410,9 +995,26 @@ router.get('/:id', async (req, res) => {
       });
     }
     
+    const isCustomer = canAccessUser(req.auth, order.userId);
+    
+    if (!isCustomer && !canAccessShop(req.auth, order.shopId?._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this order'
+      });
+    }
+    
+    // The PIN is the customer's proof of pickup; shops must not see it
+    const data = order.toJSON();
+    if (isCustomer) {
+      data.pickupToken = signPickupToken(order);
+    } else {
+      delete data.pickupPin;
+    }
+    
     res.json({
       success: true,
-      data: order
+      data
     });
   } catch (error) {
     console.error('Error fetching order:', error);
@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+const Payment = require('../models/Payment');
+const { createPaymentIntent, handleWebhook } = require('../services/payments');
+const { ServiceError } = require('../services/errors');
+const { ROLES, authenticate, authorize, canAccessUser } = require('../middleware/auth');
+
+// POST /api/payments/intent - Start an online payment for an order or a checkout
+router.post('/intent', authenticate, authorize(ROLES.CUSTOMER), async (req, res) => {
+  try {
+    const { orderId, checkoutId } = req.body;
+
+    if (!orderId && !checkoutId) {
+      return res.status(400).json({
+        success: false,
+        message: 'orderId or checkoutId is required'
+      });
+    }
+
+    const { payment, clientParams } = await createPaymentIntent({
+      auth: req.auth,
+      orderId,
+      checkoutId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment started',
+      data: {
+        paymentId: payment._id,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status,
+        orderIds: payment.orderIds,
+        gateway: clientParams
+      }
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { errors: error.details })
+      });
+    }
+    console.error('❌ Error creating payment intent:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start payment',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/payments/webhook/:gateway - Payment gateway callbacks (signed, no user auth)
+router.post('/webhook/:gateway', async (req, res) => {
+  try {
+    const { result } = await handleWebhook(req.params.gateway, req.rawBody, req.headers, req.body);
+
+    res.json({
+      success: true,
+      result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      console.warn('⚠️  Rejected payment webhook:', { gateway: req.params.gateway, reason: error.message });
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    // A 500 makes the gateway retry the delivery later
+    console.error('❌ Error handling payment webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/payments/:id - Payment status (for polling after the gateway checkout closes)
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id).select('-events -__v');
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (!canAccessUser(req.auth, payment.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your own payments'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: payment
+    });
+  } catch (error) {
+    console.error('Error fetching payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payment',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,48 @@
 const express = require('express');
 const router = express.Router();
 const Product = require('../models/Product');
+const multer = require('multer');
+const Shop = require('../models/Shop');
+const { ROLES, authenticate, authorize, isAdmin, canAccessShop, requireShopAccess } = require('../middleware/auth');
+const { parseImport, importProducts, exportProducts } = require('../services/productImport');
+const { searchProducts } = require('../services/productSearch');
+const { ServiceError } = require('../services/errors');
+
+// Catalogue files are read in memory; they are parsed, never stored
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB
+  }
+});
+
+const VARIANT_FIELDS = ['name', 'sku', 'size', 'weight', 'colour', 'price', 'stock', 'imageUrls', 'isAvailable'];
+
+// Only the fields a shop may set on a variant
+const pickVariantFields = (body) => Object.fromEntries(
+  VARIANT_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Product price and stock follow the variants. They are recomputed inside the
+// same update that changes the variants, so stock taken or returned meanwhile
+// (services/inventory) is never overwritten by a stale copy. Once the last
+// variant is gone the product keeps its last price, has no stock and is off
+// sale until the shop sets its own stock and makes it available again.
+const VARIANT_TOTALS = {
+  $set: {
+    price: { $cond: [{ $gt: [{ $size: '$variants' }, 0] }, { $min: '$variants.price' }, '$price'] },
+    stock: { $sum: '$variants.stock' },
+    isAvailable: { $cond: [{ $gt: [{ $size: '$variants' }, 0] }, '$isAvailable', false] }
+  }
+};
+
+// Replace a product's variants with `variants` (an aggregation expression over
+// '$variants'), only while `filter` still matches
+const updateVariants = (productId, filter, variants) => Product.findOneAndUpdate(
+  { _id: productId, ...filter },
+  [{ $set: { variants } }, VARIANT_TOTALS],
+  { new: true }
+).select('-__v');
 
 // GET /api/products - Get all products
 router.get('/', async (req, res) => {
@@ -57,6 +99,33 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/products/search - Ranked, typo-tolerant search with filters and facets
+router.get('/search', async (req, res) => {
+  try {
+    const { products, facets, pagination } = await searchProducts(req.query);
+    
+    res.json({
+      success: true,
+      data: products,
+      facets,
+      pagination
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error searching products:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search products',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/products/:id - Get product by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -86,7 +155,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/products - Create new product (with auto shop creation)
-router.post('/', async (req, res) => {
+router.post('/', authenticate, authorize(ROLES.SHOP_OWNER), async (req, res) => {
   try {
     const {
       name,
@@ -99,13 +168,16 @@ router.post('/', async (req, res) => {
       imageUrls,
       stock,
       unit,
-      tags
+      tags,
+      variants
     } = req.body;
     
     console.log('📦 Product creation request:', { name, shopName, ownerId, shopId, price });
     
-    // Validation - only basic fields required
-    if (!name || !description || !price) {
+    const hasVariants = Array.isArray(variants) && variants.length > 0;
+    
+    // Validation - only basic fields required (variant products are priced per variant)
+    if (!name || !description || (!price && !hasVariants)) {
       return res.status(400).json({
         success: false,
         message: 'Name, description, and price are required'
@@ -119,7 +191,15 @@ router.post('/', async (req, res) => {
       });
     }
     
-    let finalShopId = shopId;
+    // Shop owners can only add products to their own shop
+    if (!isAdmin(req.auth) && shopId && shopId !== req.auth.shopId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only add products to your own shop'
+      });
+    }
+    
+    let finalShopId = isAdmin(req.auth) ? shopId : req.auth.shopId;
     let finalShopName = shopName || 'My Shop';
     
     // CRITICAL: Ensure we have a valid shopId
@@ -142,8 +222,7 @@ router.post('/', async (req, res) => {
             phone: ownerId,
             ownerName: shopName || 'Shop Owner',
             ownerId: ownerId,
-            isApproved: true,
-            isActive: true
+            isActive: true // Pending approval until the owner submits documents
           });
           await ownerShop.save();
           console.log('✅ New shop created:', ownerShop._id);
@@ -188,7 +267,7 @@ router.post('/', async (req, res) => {
     const product = new Product({
       name: name.trim(),
       description: description.trim(),
-      price: parseFloat(price),
+      price: hasVariants ? 0 : parseFloat(price),
       shopId: finalShopId,
       shopName: finalShopName,
       category: category || 'General',
@@ -196,6 +275,7 @@ router.post('/', async (req, res) => {
       stock: stock || 0,
       unit: unit || 'piece',
       tags: tags || [],
+      variants: hasVariants ? variants.map(pickVariantFields) : [],
       isAvailable: true
     });
     
@@ -219,15 +299,47 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/products/:id - Update product
-router.put('/:id', async (req, res) => {
+router.put('/:id', authenticate, async (req, res) => {
   try {
     const updates = req.body;
     
+    const existing = await Product.findById(req.params.id).select('shopId variants._id');
+    
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    
+    if (!canAccessShop(req.auth, existing.shopId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage products of your own shop'
+      });
+    }
+    
+    if (!isAdmin(req.auth) && updates.shopId !== undefined && updates.shopId !== req.auth.shopId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only move products into your own shop'
+      });
+    }
+    
     // Remove fields that shouldn't be updated directly
     delete updates._id;
     delete updates.__v;
     delete updates.createdAt;
     delete updates.updatedAt;
+    delete updates.rating;
+    delete updates.ratingCount;
+    
+    // Variants go through /:id/variants so price and stock stay in sync
+    delete updates.variants;
+    if (existing.variants.length > 0) {
+      delete updates.price;
+      delete updates.stock;
+    }
     
     // Allow shopId update for fixing existing products
     // Don't delete shopId from updates
@@ -270,9 +382,9 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/products/:id - Delete product
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticate, async (req, res) => {
   try {
-    const product = await Product.findByIdAndDelete(req.params.id);
+    const product = await Product.findById(req.params.id);
     
     if (!product) {
       return res.status(404).json({
@@ -281,6 +393,15 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
+    if (!canAccessShop(req.auth, product.shopId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage products of your own shop'
+      });
+    }
+    
+    await product.deleteOne();
+    
     res.json({
       success: true,
       message: 'Product deleted successfully'
@@ -296,7 +417,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // PUT /api/products/:id/toggle-availability - Toggle product availability
-router.put('/:id/toggle-availability', async (req, res) => {
+router.put('/:id/toggle-availability', authenticate, async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     
@@ -307,6 +428,13 @@ router.put('/:id/toggle-availability', async (req, res) => {
       });
     }
     
+    if (!canAccessShop(req.auth, product.shopId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage products of your own shop'
+      });
+    }
+    
     product.isAvailable = !product.isAvailable;
     await product.save();
     
@@ -325,6 +453,268 @@ router.put('/:id/toggle-availability', async (req, res) => {
   }
 });
 
+// Load the product of :id into req.product if the caller manages its shop
+const requireOwnProduct = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    
+    if (!canAccessShop(req.auth, product.shopId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage products of your own shop'
+      });
+    }
+    
+    req.product = product;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Mongoose validation errors are the client's fault
+const variantErrorResponse = (res, error, fallback) => {
+  if (error.name === 'ValidationError' || /SKUs must be unique/.test(error.message)) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`❌ ${fallback}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallback,
+    error: error.message
+  });
+};
+
+// POST /api/products/:id/variants - Add a variant (size, weight, colour...)
+router.post('/:id/variants', authenticate, requireOwnProduct, async (req, res) => {
+  try {
+    const product = req.product;
+    
+    if (!req.body.name || req.body.price === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Variant name and price are required'
+      });
+    }
+    
+    product.variants.push(pickVariantFields(req.body));
+    const variant = product.variants[product.variants.length - 1];
+    await product.validate();
+    
+    const updated = await updateVariants(product._id, {}, {
+      $concatArrays: ['$variants', [{ $literal: variant.toObject() }]]
+    });
+    
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: 'Variant added successfully',
+      data: updated
+    });
+  } catch (error) {
+    variantErrorResponse(res, error, 'Failed to add variant');
+  }
+});
+
+// PUT /api/products/:id/variants/:variantId - Update a variant's price, stock, images...
+router.put('/:id/variants/:variantId', authenticate, requireOwnProduct, async (req, res) => {
+  try {
+    const product = req.product;
+    const variant = product.findVariant(req.params.variantId);
+    
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+    
+    const fields = Object.keys(pickVariantFields(req.body));
+    variant.set(pickVariantFields(req.body));
+    await product.validate();
+    
+    // Only the fields sent change; the variant's stock is kept unless it was sent
+    const values = variant.toObject();
+    const changes = Object.fromEntries(fields.map(field => [field, values[field]]));
+    
+    const updated = await updateVariants(product._id, { 'variants._id': variant._id }, {
+      $map: {
+        input: '$variants',
+        as: 'variant',
+        in: {
+          $cond: [
+            { $eq: ['$$variant._id', variant._id] },
+            { $mergeObjects: ['$$variant', { $literal: changes }] },
+            '$$variant'
+          ]
+        }
+      }
+    });
+    
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Variant updated successfully',
+      data: updated
+    });
+  } catch (error) {
+    variantErrorResponse(res, error, 'Failed to update variant');
+  }
+});
+
+// DELETE /api/products/:id/variants/:variantId - Remove a variant
+router.delete('/:id/variants/:variantId', authenticate, requireOwnProduct, async (req, res) => {
+  try {
+    const product = req.product;
+    const variant = product.findVariant(req.params.variantId);
+    
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+    
+    const updated = await updateVariants(product._id, { 'variants._id': variant._id }, {
+      $filter: { input: '$variants', as: 'variant', cond: { $ne: ['$$variant._id', variant._id] } }
+    });
+    
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Variant removed successfully',
+      data: updated
+    });
+  } catch (error) {
+    variantErrorResponse(res, error, 'Failed to remove variant');
+  }
+});
+
+// CSV or JSON, from the ?format query, an uploaded file's name/type or the request body
+const importFormat = (req) => {
+  if (req.query.format) return req.query.format;
+  if (req.file) {
+    return /\.json$/i.test(req.file.originalname) || req.file.mimetype === 'application/json' ? 'json' : 'csv';
+  }
+  return typeof req.body === 'string' ? 'csv' : 'json';
+};
+
+// POST /api/products/shop/:shopId/import - Bulk create/update products from CSV or JSON (?dryRun=true to only validate)
+router.post(
+  '/shop/:shopId/import',
+  authenticate,
+  requireShopAccess(req => req.params.shopId),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+  importUpload.single('file'),
+  async (req, res) => {
+    try {
+      const shop = await Shop.findById(req.params.shopId);
+      
+      if (!shop) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shop not found'
+        });
+      }
+      
+      const format = importFormat(req);
+      const payload = req.file ? req.file.buffer.toString('utf8') : req.body;
+      const dryRun = String(req.query.dryRun ?? (req.body && req.body.dryRun)) === 'true';
+      
+      const report = await importProducts(shop, parseImport(format, payload), { dryRun });
+      
+      if (!dryRun && report.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `${report.errors.length} problem(s) found, nothing was imported`,
+          data: report
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: dryRun
+          ? `Dry run: ${report.errors.length} problem(s) found`
+          : `Imported ${report.created} new and ${report.updated} updated product(s)`,
+        data: report
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...(error.details && { errors: error.details })
+        });
+      }
+      console.error('❌ Error importing products:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to import products',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/products/shop/:shopId/export?format=csv|json - Download a shop's catalogue in the import format
+router.get('/shop/:shopId/export', authenticate, requireShopAccess(req => req.params.shopId), async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be csv or json'
+      });
+    }
+    
+    const exported = await exportProducts(req.params.shopId, format);
+    
+    res.attachment(`products-${req.params.shopId}.${format}`);
+    
+    if (format === 'json') {
+      return res.json({ products: exported });
+    }
+    
+    res.type('text/csv').send(exported);
+  } catch (error) {
+    console.error('❌ Error exporting products:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export products',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/products/shop/:shopId/categories - Get categories for a shop
 router.get('/shop/:shopId/categories', async (req, res) => {
   try {
@@ -0,0 +1,114 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const {
+  createReview,
+  updateReview,
+  replyToReview,
+  listReviews
+} = require('../services/reviews');
+const { sendError } = require('../services/errors');
+const { ROLES, authenticate, authorize, canAccessUser, canAccessShop } = require('../middleware/auth');
+
+// POST /api/reviews - Review a completed order ({ orderId, rating, comment, products: [{ productId, rating, comment }] })
+router.post('/', authenticate, authorize(ROLES.CUSTOMER), async (req, res) => {
+  try {
+    const review = await createReview(req.auth, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks for your review',
+      data: review
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to save review');
+  }
+});
+
+// PUT /api/reviews/:id - Edit your own review
+router.put('/:id', authenticate, authorize(ROLES.CUSTOMER), async (req, res) => {
+  try {
+    const review = await updateReview(req.auth, req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Review updated',
+      data: review
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update review');
+  }
+});
+
+// POST /api/reviews/:id/reply - Shop answers a review
+router.post('/:id/reply', authenticate, authorize(ROLES.SHOP_OWNER), async (req, res) => {
+  try {
+    const review = await replyToReview(req.auth, req.params.id, req.body.text);
+
+    res.json({
+      success: true,
+      message: 'Reply saved',
+      data: review
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to save reply');
+  }
+});
+
+// GET /api/reviews/order/:orderId - The review of an order, if any (customer or shop)
+router.get('/order/:orderId', authenticate, async (req, res) => {
+  try {
+    const review = mongoose.Types.ObjectId.isValid(req.params.orderId)
+      ? await Review.findOne({ orderId: req.params.orderId }).select('-__v')
+      : null;
+
+    if (!review || !(canAccessUser(req.auth, review.userId) || canAccessShop(req.auth, review.shopId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'This order has not been reviewed'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch review');
+  }
+});
+
+// GET /api/reviews/shop/:shopId - Published reviews of a shop with the rating distribution
+router.get('/shop/:shopId', async (req, res) => {
+  try {
+    const { reviews, summary, pagination } = await listReviews({ shopId: req.params.shopId }, req.query);
+
+    res.json({
+      success: true,
+      data: reviews,
+      summary,
+      pagination
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch reviews');
+  }
+});
+
+// GET /api/reviews/product/:productId - Published ratings of a product
+router.get('/product/:productId', async (req, res) => {
+  try {
+    const { reviews, summary, pagination } = await listReviews({ productId: req.params.productId }, req.query);
+
+    res.json({
+      success: true,
+      data: reviews,
+      summary,
+      pagination
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch reviews');
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,40 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const Shop = require('../models/Shop');
+const { nextOpening } = require('../services/shopHours');
+const { listAvailableSlots } = require('../services/pickupSlots');
+const {
+  addShopDocument,
+  removeShopDocument,
+  getShopVerification,
+  getShopDocumentFile,
+  submitForApproval
+} = require('../services/shopApproval');
+const { verifyGoogleIdToken } = require('../services/googleAuth');
+const { ServiceError, sendError } = require('../services/errors');
+const { ROLES, signToken, authenticate, isAdmin, requireShopAccess } = require('../middleware/auth');
+
+const requireOwnShop = [authenticate, requireShopAccess(req => req.params.id)];
+
+// Verification documents are kept in memory until they are stored with the shop
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB
+  }
+});
+
+// Oversized or malformed uploads are the client's mistake, not a server error
+const uploadDocument = (req, res, next) => documentUpload.single('file')(req, res, (error) => {
+  if (error instanceof multer.MulterError) {
+    return res.status(400).json({
+      success: false,
+      message: error.code === 'LIMIT_FILE_SIZE' ? 'Documents can be at most 5MB' : error.message
+    });
+  }
+  next(error);
+});
 
 // GET /api/shops - Get all approved shops or by ownerId
 router.get('/', async (req, res) => {
@@ -23,18 +57,19 @@ router.get('/', async (req, res) => {
       query.category = category;
     }
     
-    if (isOpen !== undefined) {
-      query.isOpen = isOpen === 'true';
-    }
-    
     if (search) {
       query.$text = { $search: search };
     }
     
-    const shops = await Shop.find(query)
+    let shops = await Shop.find(query)
       .sort({ rating: -1, totalOrders: -1 })
       .select('-__v');
     
+    // Open/closed depends on each shop's hours and timezone, so it is filtered here
+    if (isOpen !== undefined) {
+      shops = shops.filter(shop => shop.isOpenNow === (isOpen === 'true'));
+    }
+    
     res.json({
       success: true,
       count: shops.length,
@@ -76,10 +111,11 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// POST /api/shops - Register new shop (Google Sign-In)
+// POST /api/shops - Register a new shop or sign in to yours (Google Sign-In, { idToken, ... })
 router.post('/', async (req, res) => {
   try {
     const {
+      idToken,
       name,
       description,
       category,
@@ -87,31 +123,52 @@ router.post('/', async (req, res) => {
       phone,
       ownerName,
       ownerId,
-      email,
       imageUrl
     } = req.body;
     
-    console.log('🏪 Shop registration request:', { name, ownerName, ownerId, email });
+    const identity = await verifyGoogleIdToken(idToken);
     
-    // Validation
-    if (!name || !ownerName || !ownerId) {
-      return res.status(400).json({
-        success: false,
-        message: 'name, ownerName, and ownerId are required'
-      });
+    console.log('🏪 Shop registration request:', { name, ownerName, ownerId, email: identity.email });
+    
+    // The verified Google account decides which shop this is, never the ownerId in the body
+    let existingShop = await Shop.findOne({ ownerGoogleId: identity.googleId });
+    
+    // Shops from before verified sign-in are claimed once, by the owner's Google email
+    if (!existingShop && ownerId) {
+      const legacyShop = await Shop.findOne({ ownerId }).select('+ownerGoogleId');
+      
+      if (legacyShop) {
+        if (legacyShop.ownerGoogleId || !legacyShop.email || legacyShop.email.toLowerCase() !== identity.email) {
+          return res.status(403).json({
+            success: false,
+            message: 'This shop belongs to another account'
+          });
+        }
+        
+        legacyShop.ownerGoogleId = identity.googleId;
+        await legacyShop.save();
+        existingShop = legacyShop;
+      }
     }
     
-    // Check if owner already has a shop
-    const existingShop = await Shop.findOne({ ownerId });
     if (existingShop) {
-      console.log('✅ Shop already exists for owner:', ownerId);
+      console.log('✅ Shop already exists for owner:', existingShop.ownerId);
       return res.json({
         success: true,
         message: 'Shop already exists',
+        token: signToken({ role: ROLES.SHOP_OWNER, id: existingShop.ownerId, shopId: existingShop._id }),
         data: existingShop
       });
     }
     
+    // Validation
+    if (!name || !ownerName || !ownerId) {
+      return res.status(400).json({
+        success: false,
+        message: 'name, ownerName, and ownerId are required'
+      });
+    }
+    
     // Create new shop
     const shop = new Shop({
       name: name.trim(),
@@ -119,12 +176,13 @@ router.post('/', async (req, res) => {
       category: category || 'Other',
       address: address?.trim() || 'Local Area',
       phone: phone?.trim() || ownerId,
-      email: email?.trim() || '',
+      email: identity.email,
       ownerName: ownerName.trim(),
       ownerId: ownerId,
+      ownerGoogleId: identity.googleId,
       imageUrl: imageUrl || '',
-      isActive: true,
-      isApproved: true // Auto-approve
+      isActive: true
+      // Starts pending: the owner uploads documents and submits the shop for approval
     });
     
     await shop.save();
@@ -133,10 +191,17 @@ router.post('/', async (req, res) => {
     
     res.status(201).json({
       success: true,
-      message: 'Shop registered successfully',
+      message: 'Shop registered. Upload your verification documents and submit them for approval to start taking orders',
+      token: signToken({ role: ROLES.SHOP_OWNER, id: shop.ownerId, shopId: shop._id }),
       data: shop
     });
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('❌ Error registering shop:', error);
     res.status(500).json({
       success: false,
@@ -146,8 +211,81 @@ router.post('/', async (req, res) => {
   }
 });
 
+// GET /api/shops/:id/hours - Opening hours and whether the shop is open right now
+router.get('/:id/hours', async (req, res) => {
+  try {
+    const shop = await Shop.findById(req.params.id).select('isOpen timezone openingHours specialHours');
+    
+    if (!shop) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shop not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        isOpen: shop.isOpen,
+        isOpenNow: shop.isOpenNow,
+        nextOpening: shop.isOpenNow ? null : nextOpening(shop),
+        timezone: shop.timezone,
+        openingHours: shop.openingHours,
+        specialHours: shop.specialHours
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching shop hours:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shop hours',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/shops/:id/pickup-slots - Bookable pickup slots (?date=YYYY-MM-DD&days=2)
+router.get('/:id/pickup-slots', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 2, 1), 14);
+    
+    const shop = await Shop.findById(req.params.id).select('name timezone specialHours pickupSlots pickupSlotGraceMinutes');
+    
+    if (!shop) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shop not found'
+      });
+    }
+    
+    const slots = await listAvailableSlots(shop, { from: req.query.date, days });
+    
+    res.json({
+      success: true,
+      count: slots.length,
+      data: {
+        timezone: shop.timezone,
+        slots
+      }
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error fetching pickup slots:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch pickup slots',
+      error: error.message
+    });
+  }
+});
+
 // PUT /api/shops/:id - Update shop
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireOwnShop, async (req, res) => {
   try {
     const updates = req.body;
     
@@ -158,6 +296,22 @@ router.put('/:id', async (req, res) => {
     delete updates.updatedAt;
     delete updates.totalOrders;
     delete updates.totalRevenue;
+    delete updates.deviceTokens;
+    delete updates.rating;
+    delete updates.ratingCount;
+    
+    // Approval only changes through the approval workflow (PATCH /api/admin/shops/:id/approval)
+    delete updates.isApproved;
+    delete updates.approvalStatus;
+    delete updates.approval;
+    delete updates.approvalHistory;
+    delete updates.ownerGoogleId;
+    
+    // Ownership and activation are admin-only
+    if (!isAdmin(req.auth)) {
+      delete updates.ownerId;
+      delete updates.isActive;
+    }
     
     const shop = await Shop.findByIdAndUpdate(
       req.params.id,
@@ -188,7 +342,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // PUT /api/shops/:id/toggle-status - Toggle shop open/closed status
-router.put('/:id/toggle-status', async (req, res) => {
+router.put('/:id/toggle-status', requireOwnShop, async (req, res) => {
   try {
     const shop = await Shop.findById(req.params.id);
     
@@ -205,7 +359,7 @@ router.put('/:id/toggle-status', async (req, res) => {
     res.json({
       success: true,
       message: `Shop ${shop.isOpen ? 'opened' : 'closed'} successfully`,
-      data: { isOpen: shop.isOpen }
+      data: { isOpen: shop.isOpen, isOpenNow: shop.isOpenNow }
     });
   } catch (error) {
     console.error('Error toggling shop status:', error);
@@ -217,6 +371,149 @@ router.put('/:id/toggle-status', async (req, res) => {
   }
 });
 
+// POST /api/shops/:id/devices - Register a device for push notifications
+router.post('/:id/devices', requireOwnShop, async (req, res) => {
+  try {
+    const { token, platform } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'token is required'
+      });
+    }
+    
+    // Re-registering a token moves it to the end; keep the 10 most recent devices
+    await Shop.updateOne({ _id: req.params.id }, { $pull: { deviceTokens: { token } } });
+    const result = await Shop.updateOne({ _id: req.params.id }, {
+      $push: {
+        deviceTokens: {
+          $each: [{ token, platform: platform || 'android' }],
+          $slice: -10
+        }
+      }
+    }, { runValidators: true });
+    
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shop not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Device registered for notifications'
+    });
+  } catch (error) {
+    console.error('Error registering device:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register device',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/shops/:id/devices/:token - Stop push notifications to a device
+router.delete('/:id/devices/:token', requireOwnShop, async (req, res) => {
+  try {
+    await Shop.updateOne({ _id: req.params.id }, { $pull: { deviceTokens: { token: req.params.token } } });
+    
+    res.json({
+      success: true,
+      message: 'Device removed'
+    });
+  } catch (error) {
+    console.error('Error removing device:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove device',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/shops/:id/verification - Approval status, uploaded documents and what is still missing
+router.get('/:id/verification', requireOwnShop, async (req, res) => {
+  try {
+    const verification = await getShopVerification(req.auth, req.params.id);
+    
+    res.json({
+      success: true,
+      data: verification
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch verification');
+  }
+});
+
+// POST /api/shops/:id/documents - Upload a verification document (multipart: file, type)
+router.post('/:id/documents', requireOwnShop, uploadDocument, async (req, res) => {
+  try {
+    const document = await addShopDocument(req.auth, req.params.id, {
+      type: req.body.type,
+      file: req.file
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Document uploaded',
+      data: document
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to upload document');
+  }
+});
+
+// GET /api/shops/:id/documents/:documentId/file - Download a verification document (owner or admin)
+router.get('/:id/documents/:documentId/file', requireOwnShop, async (req, res) => {
+  try {
+    const document = await getShopDocumentFile(req.auth, req.params.id, req.params.documentId);
+    
+    res.set({
+      'Content-Type': document.mimeType,
+      'Content-Disposition': `inline; filename="${encodeURIComponent(document.fileName)}"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(document.data);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch document');
+  }
+});
+
+// DELETE /api/shops/:id/documents/:documentId - Remove a document before submitting
+router.delete('/:id/documents/:documentId', requireOwnShop, async (req, res) => {
+  try {
+    await removeShopDocument(req.auth, req.params.id, req.params.documentId);
+    
+    res.json({
+      success: true,
+      message: 'Document removed'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to remove document');
+  }
+});
+
+// POST /api/shops/:id/submit-for-approval - Send the shop and its documents for admin review
+router.post('/:id/submit-for-approval', requireOwnShop, async (req, res) => {
+  try {
+    const shop = await submitForApproval(req.auth, req.params.id);
+    
+    res.json({
+      success: true,
+      message: 'Shop submitted for approval',
+      data: {
+        approvalStatus: shop.approvalStatus,
+        approval: shop.approval
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to submit shop for approval');
+  }
+});
+
 // GET /api/shops/meta/categories - Get all categories
 router.get('/meta/categories', async (req, res) => {
   try {
@@ -2,13 +2,14 @@ const express = require('express');
 const router = express.Router();
 const { upload, cloudinary } = require('../config/cloudinary');
 const Product = require('../models/Product');
+const { ROLES, authenticate, authorize, isAdmin, canAccessShop } = require('../middleware/auth');
 
 /**
  * @route   POST /api/upload/product
  * @desc    Upload product with image to Cloudinary and save to MongoDB
- * @access  Public (add authentication later if needed)
+ * @access  Shop owner
  */
-router.post('/product', upload.single('image'), async (req, res) => {
+router.post('/product', authenticate, authorize(ROLES.SHOP_OWNER), upload.single('image'), async (req, res) => {
   try {
     // Check if file was uploaded
     if (!req.file) {
@@ -19,7 +20,11 @@ router.post('/product', upload.single('image'), async (req, res) => {
     }
 
     // Extract product data from request body
-    const { name, description, price, shopId, shopName, ownerId, category, stock, unit } = req.body;
+    const { name, description, price, shopName, category, stock, unit } = req.body;
+
+    // Shop owners always upload into their own shop
+    const shopId = isAdmin(req.auth) ? req.body.shopId : req.auth.shopId;
+    const ownerId = isAdmin(req.auth) ? req.body.ownerId : req.auth.id;
 
     // Validate required fields - only basic fields needed
     if (!name || !description || !price) {
@@ -55,8 +60,7 @@ router.post('/product', upload.single('image'), async (req, res) => {
           phone: ownerId,
           ownerName: shopName || 'Shop Owner',
           ownerId: ownerId,
-          isApproved: true,
-          isActive: true
+          isActive: true // Pending approval until the owner submits documents
         });
         await ownerShop.save();
         console.log('New shop created:', ownerShop._id);
@@ -134,9 +138,9 @@ router.post('/product', upload.single('image'), async (req, res) => {
 /**
  * @route   POST /api/upload/product/:id/images
  * @desc    Add additional images to existing product
- * @access  Public
+ * @access  Shop owner
  */
-router.post('/product/:id/images', upload.array('images', 5), async (req, res) => {
+router.post('/product/:id/images', authenticate, authorize(ROLES.SHOP_OWNER), upload.array('images', 5), async (req, res) => {
   try {
     const productId = req.params.id;
 
@@ -150,8 +154,8 @@ router.post('/product/:id/images', upload.array('images', 5), async (req, res) =
 
     // Find the product
     const product = await Product.findById(productId);
-    if (!product) {
-      // Delete uploaded files if product not found
+    if (!product || !canAccessShop(req.auth, product.shopId)) {
+      // Delete uploaded files if product not found (or not yours)
       for (const file of req.files) {
         await cloudinary.uploader.destroy(file.filename);
       }
@@ -201,9 +205,9 @@ router.post('/product/:id/images', upload.array('images', 5), async (req, res) =
 /**
  * @route   DELETE /api/upload/image
  * @desc    Delete image from Cloudinary
- * @access  Public
+ * @access  Shop owner
  */
-router.delete('/image', async (req, res) => {
+router.delete('/image', authenticate, authorize(ROLES.SHOP_OWNER), async (req, res) => {
   try {
     const { imageUrl } = req.body;
 
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
+const { ROLES, authenticate, authorize, canAccessShop } = require('../middleware/auth');
 const Product = require('../models/Product');
 
 // Configure multer for memory storage
@@ -21,9 +22,9 @@ const upload = multer({
 /**
  * @route   POST /api/upload-base64/product
  * @desc    Upload product with base64 image (NO CLOUDINARY NEEDED)
- * @access  Public
+ * @access  Shop owner
  */
-router.post('/product', upload.single('image'), async (req, res) => {
+router.post('/product', authenticate, authorize(ROLES.SHOP_OWNER), upload.single('image'), async (req, res) => {
   try {
     console.log('📤 Received upload request (base64 mode)');
     
@@ -46,6 +47,14 @@ router.post('/product', upload.single('image'), async (req, res) => {
       });
     }
 
+    // Shop owners can only upload to their own shop
+    if (!canAccessShop(req.auth, shopId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only add products to your own shop'
+      });
+    }
+
     console.log('📝 Product details:', { name, shopName, price });
 
     // Convert image to base64
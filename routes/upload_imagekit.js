@@ -1,14 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const { imagekit, upload } = require('../config/imagekit');
+const { ROLES, authenticate, authorize, canAccessShop } = require('../middleware/auth');
 const Product = require('../models/Product');
 
 /**
  * @route   POST /api/upload/product
  * @desc    Upload product with image to ImageKit and save to MongoDB
- * @access  Public
+ * @access  Shop owner
  */
-router.post('/product', upload.single('image'), async (req, res) => {
+router.post('/product', authenticate, authorize(ROLES.SHOP_OWNER), upload.single('image'), async (req, res) => {
   try {
     console.log('📤 Received upload request (ImageKit)');
     
@@ -31,6 +32,14 @@ router.post('/product', upload.single('image'), async (req, res) => {
       });
     }
 
+    // Shop owners can only upload to their own shop
+    if (!canAccessShop(req.auth, shopId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only add products to your own shop'
+      });
+    }
+
     console.log('📝 Product details:', { name, shopName, price });
     console.log('🖼️  Image details:', {
       originalname: req.file.originalname,
@@ -104,9 +113,9 @@ router.post('/product', upload.single('image'), async (req, res) => {
 /**
  * @route   POST /api/upload/product/:id/images
  * @desc    Add additional images to existing product
- * @access  Public
+ * @access  Shop owner
  */
-router.post('/product/:id/images', upload.array('images', 5), async (req, res) => {
+router.post('/product/:id/images', authenticate, authorize(ROLES.SHOP_OWNER), upload.array('images', 5), async (req, res) => {
   try {
     const productId = req.params.id;
 
@@ -127,6 +136,13 @@ router.post('/product/:id/images', upload.array('images', 5), async (req, res) =
       });
     }
 
+    if (!canAccessShop(req.auth, product.shopId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage products of your own shop'
+      });
+    }
+
     // Upload all images to ImageKit
     const uploadPromises = req.files.map(file => 
       imagekit.upload({
@@ -167,9 +183,9 @@ router.post('/product/:id/images', upload.array('images', 5), async (req, res) =
 /**
  * @route   DELETE /api/upload/image
  * @desc    Delete image from ImageKit
- * @access  Public
+ * @access  Shop owner
  */
-router.delete('/image', async (req, res) => {
+router.delete('/image', authenticate, authorize(ROLES.SHOP_OWNER), async (req, res) => {
   try {
     const { imageUrl } = req.body;
 
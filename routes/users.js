@@ -1,46 +1,41 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const { ROLES, signToken, authenticate, requireUserAccess } = require('../middleware/auth');
+const {
+  addFavouriteShop,
+  removeFavouriteShop,
+  addFavouriteProduct,
+  removeFavouriteProduct,
+  listFavourites
+} = require('../services/favourites');
+const { verifyGoogleIdToken } = require('../services/googleAuth');
+const { ServiceError, sendError } = require('../services/errors');
 
-// POST /api/users - Create or get user (Google Sign-In)
+const requireSelf = [authenticate, requireUserAccess(req => req.params.userId)];
+
+// POST /api/users - Sign in with Google ({ idToken, name?, userId? for a new account })
 router.post('/', async (req, res) => {
   try {
-    const { userId, name, email } = req.body;
+    const { idToken, userId, name } = req.body;
     
-    console.log('👤 User login request:', { userId, name, email });
+    const identity = await verifyGoogleIdToken(idToken);
     
-    // Validation
-    if (!userId || !name || !email) {
-      return res.status(400).json({
-        success: false,
-        message: 'userId, name, and email are required'
-      });
-    }
+    console.log('👤 User login request:', { email: identity.email });
     
-    // Check if user exists by email or userId
-    let user = await User.findOne({ 
-      $or: [{ userId }, { email }] 
-    });
+    // The verified Google account decides which user this is; ids in the body never pick an account.
+    // Users from before verified sign-in are matched once by their email, then by googleId.
+    let user = await User.findOne({ googleId: identity.googleId }) ||
+      await User.findOne({ email: identity.email, googleId: { $exists: false } });
     
     if (user) {
       console.log('✅ Existing user found:', user.userId);
       
-      // Update user info if changed
-      let updated = false;
-      if (user.name !== name) {
-        user.name = name;
-        updated = true;
-      }
-      if (user.email !== email) {
-        user.email = email;
-        updated = true;
-      }
-      if (user.userId !== userId) {
-        user.userId = userId;
-        updated = true;
-      }
+      user.googleId = identity.googleId;
+      user.email = identity.email;
+      if (name && name.trim()) user.name = name.trim();
       
-      if (updated) {
+      if (user.isModified()) {
         await user.save();
         console.log('📝 User info updated');
       }
@@ -48,15 +43,24 @@ router.post('/', async (req, res) => {
       return res.json({
         success: true,
         message: 'User logged in successfully',
+        token: signToken({ role: ROLES.CUSTOMER, id: user.userId }),
         data: user
       });
     }
     
-    // Create new user
+    // A new account may keep the id the app generated, as long as nobody has it
+    if (userId && await User.exists({ userId })) {
+      return res.status(409).json({
+        success: false,
+        message: 'This userId belongs to another account'
+      });
+    }
+    
     user = new User({
-      userId,
-      name: name.trim(),
-      email: email.trim(),
+      userId: userId || await User.generateUserId(),
+      googleId: identity.googleId,
+      name: (name && name.trim()) || identity.name || 'Guest User',
+      email: identity.email,
       isActive: true
     });
     
@@ -67,9 +71,16 @@ router.post('/', async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
+      token: signToken({ role: ROLES.CUSTOMER, id: user.userId }),
       data: user
     });
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('❌ Error in user login:', error);
     res.status(500).json({
       success: false,
@@ -79,8 +90,14 @@ router.post('/', async (req, res) => {
   }
 });
 
-// POST /api/users/init - Initialize or get user (Legacy support)
-router.post('/init', async (req, res) => {
+// Resuming an existing account needs that user's token; only new guest accounts are open
+const requireSelfForExisting = (req, res, next) => {
+  if (!req.body.userId) return next();
+  authenticate(req, res, () => requireUserAccess(request => request.body.userId)(req, res, next));
+};
+
+// POST /api/users/init - Start a guest account, or refresh the token of your own (Legacy support)
+router.post('/init', requireSelfForExisting, async (req, res) => {
   try {
     const { userId } = req.body;
     
@@ -90,6 +107,7 @@ router.post('/init', async (req, res) => {
     res.json({
       success: true,
       message: userId ? 'User found' : 'New user created',
+      token: signToken({ role: ROLES.CUSTOMER, id: user.userId }),
       data: {
         userId: user.userId,
         name: user.name,
@@ -108,7 +126,7 @@ router.post('/init', async (req, res) => {
 });
 
 // GET /api/users/:userId - Get user details
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', requireSelf, async (req, res) => {
   try {
     const user = await User.findOne({ userId: req.params.userId });
     
@@ -134,9 +152,10 @@ router.get('/:userId', async (req, res) => {
 });
 
 // PUT /api/users/:userId - Update user profile
-router.put('/:userId', async (req, res) => {
+router.put('/:userId', requireSelf, async (req, res) => {
   try {
-    const { name, phone, email } = req.body;
+    // The email comes from the verified Google account and is not edited here
+    const { name, phone } = req.body;
     
     const user = await User.findOne({ userId: req.params.userId });
     
@@ -150,7 +169,6 @@ router.put('/:userId', async (req, res) => {
     // Update fields
     if (name) user.name = name.trim();
     if (phone) user.phone = phone.trim();
-    if (email) user.email = email.trim();
     
     await user.save();
     
@@ -172,7 +190,7 @@ router.put('/:userId', async (req, res) => {
 module.exports = router;
 
 // Update user location
-router.post('/:userId/location', async (req, res) => {
+router.post('/:userId/location', requireSelf, async (req, res) => {
   try {
     const { userId } = req.params;
     const { latitude, longitude, address } = req.body;
@@ -225,7 +243,7 @@ router.post('/:userId/location', async (req, res) => {
 });
 
 // Get user location status
-router.get('/:userId/location/status', async (req, res) => {
+router.get('/:userId/location/status', requireSelf, async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -256,3 +274,136 @@ router.get('/:userId/location/status', async (req, res) => {
     });
   }
 });
+
+// POST /api/users/:userId/devices - Register a device for push notifications
+router.post('/:userId/devices', requireSelf, async (req, res) => {
+  try {
+    const { token, platform } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'token is required'
+      });
+    }
+    
+    // Re-registering a token moves it to the end; keep the 10 most recent devices
+    await User.updateOne({ userId: req.params.userId }, { $pull: { deviceTokens: { token } } });
+    const result = await User.updateOne({ userId: req.params.userId }, {
+      $push: {
+        deviceTokens: {
+          $each: [{ token, platform: platform || 'android' }],
+          $slice: -10
+        }
+      }
+    }, { runValidators: true });
+    
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Device registered for notifications'
+    });
+  } catch (error) {
+    console.error('Error registering device:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register device',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/users/:userId/devices/:token - Stop push notifications to a device
+router.delete('/:userId/devices/:token', requireSelf, async (req, res) => {
+  try {
+    await User.updateOne({ userId: req.params.userId }, { $pull: { deviceTokens: { token: req.params.token } } });
+    
+    res.json({
+      success: true,
+      message: 'Device removed'
+    });
+  } catch (error) {
+    console.error('Error removing device:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove device',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/users/:userId/favourites - Favourite shops and products with current availability
+router.get('/:userId/favourites', requireSelf, async (req, res) => {
+  try {
+    const favourites = await listFavourites(req.params.userId);
+    
+    res.json({
+      success: true,
+      data: favourites
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch favourites');
+  }
+});
+
+// PUT /api/users/:userId/favourites/shops/:shopId - Add a favourite shop
+router.put('/:userId/favourites/shops/:shopId', requireSelf, async (req, res) => {
+  try {
+    await addFavouriteShop(req.params.userId, req.params.shopId);
+    
+    res.json({
+      success: true,
+      message: 'Shop added to favourites'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to add favourite shop');
+  }
+});
+
+// DELETE /api/users/:userId/favourites/shops/:shopId - Remove a favourite shop
+router.delete('/:userId/favourites/shops/:shopId', requireSelf, async (req, res) => {
+  try {
+    await removeFavouriteShop(req.params.userId, req.params.shopId);
+    
+    res.json({
+      success: true,
+      message: 'Shop removed from favourites'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to remove favourite shop');
+  }
+});
+
+// PUT /api/users/:userId/favourites/products/:productId - Add a favourite product ({ variantId } for one option)
+router.put('/:userId/favourites/products/:productId', requireSelf, async (req, res) => {
+  try {
+    await addFavouriteProduct(req.params.userId, req.params.productId, req.body.variantId);
+    
+    res.json({
+      success: true,
+      message: 'Product added to favourites'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to add favourite product');
+  }
+});
+
+// DELETE /api/users/:userId/favourites/products/:productId - Remove a favourite product (?variantId= for one option)
+router.delete('/:userId/favourites/products/:productId', requireSelf, async (req, res) => {
+  try {
+    await removeFavouriteProduct(req.params.userId, req.params.productId, req.query.variantId);
+    
+    res.json({
+      success: true,
+      message: 'Product removed from favourites'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to remove favourite product');
+  }
+});
@@ -2,6 +2,15 @@ const express = require('express');
 const cors = require('cors');
 const mongoose = require('mongoose');
 require('dotenv').config();
+const { startOrderExpiryWorker } = require('./services/orderExpiry');
+const { orderEvents } = require('./services/orderLifecycle');
+const { registerOrderNotifications } = require('./services/notifications/orderNotifications');
+const { registerOrderRefunds } = require('./services/payments/refunds');
+const { checkPaymentConfig } = require('./services/payments');
+const { reviewEvents } = require('./services/reviews');
+const { registerReviewNotifications } = require('./services/notifications/reviewNotifications');
+const { shopApprovalEvents } = require('./services/shopApproval');
+const { registerShopApprovalNotifications } = require('./services/notifications/shopNotifications');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -32,10 +41,15 @@ app.use(cors({
   },
   credentials: true,
   exposedHeaders: ['*'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'adminKey', 'admin-key']
+  allowedHeaders: ['Content-Type', 'Authorization', 'adminKey', 'admin-key', 'Last-Event-ID']
 }));
 
-app.use(express.json());
+// Keep the raw bytes too: payment webhooks are signed over the exact body
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
@@ -44,8 +58,13 @@ app.use('/api/dashboard', require('./routes/dashboard')); // Optimized dashboard
 app.use('/api/shops', require('./routes/shops'));
 app.use('/api/products', require('./routes/products'));
 app.use('/api/orders', require('./routes/orders'));
+app.use('/api/cart', require('./routes/cart'));
+app.use('/api/payments', require('./routes/payments'));
+app.use('/api/reviews', require('./routes/reviews'));
+app.use('/api/coupons', require('./routes/coupons'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/location', require('./routes/location'));
+app.use('/api/events', require('./routes/events')); // Real-time order updates (SSE)
 app.use('/api/upload-base64', require('./routes/upload_base64')); // Base64 upload (backup)
 
 // Use ImageKit if credentials are available, otherwise use base64
@@ -117,7 +136,13 @@ const connectDB = async () => {
 
 // Start server
 const startServer = async () => {
+  checkPaymentConfig();
   await connectDB();
+  startOrderExpiryWorker();
+  registerOrderNotifications(orderEvents);
+  registerOrderRefunds(orderEvents);
+  registerReviewNotifications(reviewEvents);
+  registerShopApprovalNotifications(shopApprovalEvents);
   
   app.listen(PORT, '0.0.0.0', () => {
     console.log(`🚀 Server running on port ${PORT}`);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Shop = require('../models/Shop');
+const { roundAmount } = require('./pricing');
+
+// Validate a cart against live prices and availability, grouped by shop
+const buildCartView = async (cart) => {
+  const productIds = cart.items.map(item => item.productId);
+  const shopIds = [...new Set(cart.items.map(item => item.shopId))]
+    .filter(id => mongoose.Types.ObjectId.isValid(id));
+
+  const [products, shops] = await Promise.all([
+    Product.find({ _id: { $in: productIds } }),
+    Shop.find({ _id: { $in: shopIds } }).select('name address isOpen isActive isApproved timezone openingHours specialHours')
+  ]);
+
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+  const shopsById = new Map(shops.map(shop => [shop._id.toString(), shop]));
+  const groups = new Map();
+
+  for (const item of cart.items) {
+    if (!groups.has(item.shopId)) {
+      const shop = shopsById.get(item.shopId);
+      groups.set(item.shopId, {
+        shopId: item.shopId,
+        shopName: shop ? shop.name : 'Unknown shop',
+        shopAddress: shop ? shop.address : '',
+        isOpen: shop ? shop.isOpenNow : false,
+        canOrder: !!shop && shop.isActive && shop.isApproved && shop.isOpenNow,
+        items: [],
+        subtotal: 0
+      });
+    }
+
+    const group = groups.get(item.shopId);
+    const product = productsById.get(item.productId.toString());
+    const variant = product && item.variantId ? product.findVariant(item.variantId) : null;
+    const stock = variant ? variant.stock : product?.stock;
+
+    let issue = null;
+    if (!product) {
+      issue = { code: 'PRODUCT_NOT_FOUND', message: 'Product no longer exists' };
+    } else if (product.hasVariants && !variant) {
+      issue = { code: 'VARIANT_NOT_FOUND', message: `Choose an option of ${product.name}` };
+    } else if (!product.isAvailable || (variant && !variant.isAvailable)) {
+      issue = { code: 'UNAVAILABLE', message: `${product.name} is currently unavailable` };
+    } else if (stock < item.quantity) {
+      issue = { code: 'INSUFFICIENT_STOCK', message: `Only ${stock} left of ${product.name}`, available: stock };
+    }
+
+    const price = variant ? variant.price : (product ? product.price : 0);
+    const lineTotal = roundAmount(price * item.quantity);
+
+    group.items.push({
+      itemId: item._id,
+      productId: item.productId,
+      variantId: item.variantId,
+      variantName: variant ? variant.name : undefined,
+      name: product ? product.name : '',
+      imageUrl: (variant && variant.imageUrls[0]) || (product ? product.imageUrl : ''),
+      unit: product ? product.unit : undefined,
+      price,
+      quantity: item.quantity,
+      lineTotal,
+      availabilityStatus: product ? product.availabilityStatus : 'unavailable',
+      issue
+    });
+
+    if (!issue) group.subtotal = roundAmount(group.subtotal + lineTotal);
+  }
+
+  const shopGroups = [...groups.values()];
+
+  return {
+    userId: cart.userId,
+    shops: shopGroups,
+    itemCount: cart.items.reduce((sum, item) => sum + item.quantity, 0),
+    totalAmount: roundAmount(shopGroups.reduce((sum, group) => sum + group.subtotal, 0)),
+    hasIssues: shopGroups.some(group => !group.canOrder || group.items.some(item => item.issue))
+  };
+};
+
+module.exports = { buildCartView };
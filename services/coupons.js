@@ -0,0 +1,509 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const CouponUsage = require('../models/CouponUsage');
+const Product = require('../models/Product');
+const Shop = require('../models/Shop');
+const { isAdmin, canAccessShop } = require('../middleware/auth');
+const { roundAmount } = require('./pricing');
+const { ServiceError } = require('./errors');
+
+const COUPON_TYPES = ['percentage', 'flat'];
+const COUPON_SCOPES = ['shop', 'platform'];
+const CODE_PATTERN = /^[A-Z0-9_-]{3,30}$/;
+
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+// Coupon problems carry a code the app can react to
+const couponError = (code, message, statusCode = 400) => new ServiceError(message, statusCode, [{ code, message }]);
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Validate the editable fields of a coupon. `current` is the saved coupon
+ * when updating, so rules spanning fields (e.g. the validity window) are
+ * checked against the result of the change.
+ *
+ * Optional numbers and dates are cleared with null.
+ */
+const readCouponFields = (input, current = {}) => {
+  const fields = {};
+  const errors = [];
+  const invalid = (field, message) => errors.push({ field, code: 'INVALID_FIELD', message });
+  const isCleared = (value) => value === null || value === '';
+
+  const readNumber = (field, { min, integer = false, optional = false }) => {
+    const raw = input[field];
+    if (raw === undefined) return;
+    if (optional && isCleared(raw)) {
+      fields[field] = undefined;
+      return;
+    }
+
+    const value = Number(raw);
+    if (isCleared(raw) || !Number.isFinite(value) || value < min || (integer && !Number.isInteger(value))) {
+      invalid(field, `${field} must be ${integer ? 'a whole number' : 'a number'} of at least ${min}`);
+    } else {
+      fields[field] = value;
+    }
+  };
+
+  const readDate = (field, { optional = false }) => {
+    const raw = input[field];
+    if (raw === undefined) return;
+    if (optional && isCleared(raw)) {
+      fields[field] = undefined;
+      return;
+    }
+
+    const value = new Date(raw);
+    if (isCleared(raw) || Number.isNaN(value.getTime())) {
+      invalid(field, `${field} must be a date`);
+    } else {
+      fields[field] = value;
+    }
+  };
+
+  if (input.description !== undefined) {
+    fields.description = typeof input.description === 'string' ? input.description.trim().slice(0, 200) : '';
+  }
+
+  if (input.discountType !== undefined) {
+    if (!COUPON_TYPES.includes(input.discountType)) {
+      invalid('discountType', `discountType must be one of ${COUPON_TYPES.join(', ')}`);
+    } else {
+      fields.discountType = input.discountType;
+    }
+  }
+
+  readNumber('value', { min: 0.01 });
+  readNumber('maxDiscount', { min: 0.01, optional: true });
+  readNumber('minOrderValue', { min: 0 });
+  readNumber('usageLimit', { min: 1, integer: true, optional: true });
+  readNumber('perUserLimit', { min: 1, integer: true });
+  readDate('validFrom', {});
+  readDate('validUntil', { optional: true });
+
+  if (input.productIds !== undefined) {
+    const ids = Array.isArray(input.productIds) ? input.productIds.map(String) : null;
+    if (!ids || !ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      invalid('productIds', 'productIds must be a list of product ids');
+    } else {
+      fields.productIds = [...new Set(ids)];
+    }
+  }
+
+  if (input.categories !== undefined) {
+    if (!Array.isArray(input.categories) || !input.categories.every(category => typeof category === 'string')) {
+      invalid('categories', 'categories must be a list of category names');
+    } else {
+      fields.categories = [...new Set(input.categories.map(category => category.trim()).filter(Boolean))];
+    }
+  }
+
+  if (input.isActive !== undefined) {
+    fields.isActive = input.isActive === true || input.isActive === 'true';
+  }
+
+  const merged = { ...current, ...fields };
+
+  if (!merged.discountType && !errors.some(error => error.field === 'discountType')) {
+    invalid('discountType', `discountType must be one of ${COUPON_TYPES.join(', ')}`);
+  }
+  if (merged.value === undefined && !errors.some(error => error.field === 'value')) {
+    invalid('value', 'value is required');
+  }
+  if (merged.discountType === 'percentage' && merged.value > 100) {
+    invalid('value', 'A percentage discount cannot be more than 100');
+  }
+  if (merged.validFrom && merged.validUntil && merged.validUntil <= merged.validFrom) {
+    invalid('validUntil', 'validUntil must be after validFrom');
+  }
+
+  if (errors.length > 0) {
+    throw new ServiceError('Some coupon fields are not valid', 400, errors);
+  }
+
+  return fields;
+};
+
+// Shop coupons can only be restricted to that shop's own products
+const checkProductsBelongToShop = async (productIds, shopId) => {
+  if (!productIds || productIds.length === 0) return;
+
+  const found = await Product.countDocuments({ _id: { $in: productIds }, shopId: shopId.toString() });
+  if (found !== productIds.length) {
+    throw new ServiceError('Some productIds are not products of this shop', 400, [
+      { field: 'productIds', code: 'INVALID_FIELD', message: 'Some productIds are not products of this shop' }
+    ]);
+  }
+};
+
+// Shop owners manage their shop's coupons, admins manage every coupon
+const canManageCoupon = (auth, coupon) => (coupon.scope === 'platform' ? isAdmin(auth) : canAccessShop(auth, coupon.shopId));
+
+/**
+ * Create a coupon. Shop owners create coupons for their own shop; admins
+ * can also create platform coupons, valid at every shop.
+ *
+ * @param {Object} auth - req.auth
+ * @param {Object} input - { code, scope?, shopId?, discountType, value, ... }
+ * @returns {Promise<Document>} the Coupon
+ */
+const createCoupon = async (auth, input) => {
+  const scope = input.scope || 'shop';
+  if (!COUPON_SCOPES.includes(scope)) {
+    throw new ServiceError(`scope must be one of ${COUPON_SCOPES.join(', ')}`);
+  }
+  if (scope === 'platform' && !isAdmin(auth)) {
+    throw new ServiceError('Only admins can create platform coupons', 403);
+  }
+
+  const code = normalizeCode(input.code);
+  if (!CODE_PATTERN.test(code)) {
+    throw new ServiceError('code must be 3-30 letters, digits, - or _');
+  }
+
+  let shopId;
+  if (scope === 'shop') {
+    shopId = input.shopId || auth.shopId;
+    if (!mongoose.Types.ObjectId.isValid(shopId || '')) {
+      throw new ServiceError('shopId is not valid');
+    }
+    if (!canAccessShop(auth, shopId)) {
+      throw new ServiceError('You can only create coupons for your own shop', 403);
+    }
+    if (!await Shop.exists({ _id: shopId })) {
+      throw new ServiceError('Shop not found', 404);
+    }
+  }
+
+  const fields = readCouponFields(input);
+  if (shopId) await checkProductsBelongToShop(fields.productIds, shopId);
+
+  let coupon;
+  try {
+    coupon = await Coupon.create({
+      ...fields,
+      code,
+      scope,
+      shopId,
+      createdBy: { type: isAdmin(auth) ? 'admin' : 'shop', id: auth.id }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ServiceError(`The code ${code} is already taken`, 409);
+    }
+    throw error;
+  }
+
+  console.log('🏷️  Coupon created:', { couponId: coupon._id, code, scope, shopId });
+
+  return coupon;
+};
+
+const findCoupon = async (couponId) => {
+  const coupon = mongoose.Types.ObjectId.isValid(couponId || '') ? await Coupon.findById(couponId) : null;
+  if (!coupon) {
+    throw new ServiceError('Coupon not found', 404);
+  }
+  return coupon;
+};
+
+// Change the terms of a coupon or switch it off. The code, scope and shop cannot change.
+const updateCoupon = async (auth, couponId, input) => {
+  const coupon = await findCoupon(couponId);
+
+  if (!canManageCoupon(auth, coupon)) {
+    throw new ServiceError('You can only change your own coupons', 403);
+  }
+
+  const fields = readCouponFields(input, coupon.toObject());
+  if (coupon.shopId) await checkProductsBelongToShop(fields.productIds, coupon.shopId);
+
+  Object.assign(coupon, fields);
+  await coupon.save();
+
+  return coupon;
+};
+
+/**
+ * Discount of a coupon (or of an order's discount line) on a list of priced
+ * items: only items in `productIds` count when that list is not empty.
+ * Never more than maxDiscount or the value of the discounted items.
+ */
+const discountFor = (rule, items) => {
+  const productIds = new Set((rule.productIds || []).map(String));
+  const base = items
+    .filter(item => productIds.size === 0 || productIds.has(item.productId.toString()))
+    .reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  const amount = rule.discountType === 'percentage' ? base * rule.value / 100 : rule.value;
+
+  return roundAmount(Math.min(amount, rule.maxDiscount ?? Infinity, base));
+};
+
+// Ids of the items a restricted coupon applies to (null when it applies to everything)
+const eligibleProductIds = async (coupon, items) => {
+  if (coupon.productIds.length === 0 && coupon.categories.length === 0) return null;
+
+  const itemIds = items.map(item => item.productId.toString());
+  const ids = new Set(coupon.productIds.map(String).filter(id => itemIds.includes(id)));
+
+  if (coupon.categories.length > 0) {
+    const inCategory = await Product.find({ _id: { $in: itemIds }, category: { $in: coupon.categories } }).select('_id');
+    inCategory.forEach(product => ids.add(product._id.toString()));
+  }
+
+  return [...ids].map(id => new mongoose.Types.ObjectId(id));
+};
+
+/**
+ * Check a coupon code against an order that is about to be placed and work
+ * out its discount. Nothing is reserved; see claimCoupon.
+ *
+ * Throws ServiceError with `details: [{ code, message }]`, code being one of
+ * COUPON_NOT_FOUND, COUPON_INACTIVE, COUPON_NOT_STARTED, COUPON_EXPIRED,
+ * COUPON_WRONG_SHOP, COUPON_MIN_ORDER, COUPON_USED_UP, COUPON_USER_LIMIT
+ * or COUPON_NOT_APPLICABLE.
+ *
+ * @param {Object} params
+ * @param {string} params.code
+ * @param {Document} params.shop
+ * @param {string} params.userId
+ * @param {{items: Array, totalAmount: number}} params.pricing - from priceOrderItems
+ * @returns {Promise<{coupon: Document, line: Object}>} line is the Order discount line
+ */
+const quoteCoupon = async ({ code, shop, userId, pricing, now = new Date() }) => {
+  const normalized = normalizeCode(code);
+  const coupon = normalized ? await Coupon.findOne({ code: normalized }) : null;
+
+  if (!coupon) {
+    throw couponError('COUPON_NOT_FOUND', `Coupon ${normalized || code} does not exist`, 404);
+  }
+  if (!coupon.isActive) {
+    throw couponError('COUPON_INACTIVE', `Coupon ${coupon.code} is no longer active`);
+  }
+  if (coupon.validFrom && coupon.validFrom > now) {
+    throw couponError('COUPON_NOT_STARTED', `Coupon ${coupon.code} can be used from ${formatDate(coupon.validFrom)}`);
+  }
+  if (coupon.validUntil && coupon.validUntil <= now) {
+    throw couponError('COUPON_EXPIRED', `Coupon ${coupon.code} has expired`);
+  }
+  if (coupon.scope === 'shop' && !coupon.shopId.equals(shop._id)) {
+    throw couponError('COUPON_WRONG_SHOP', `Coupon ${coupon.code} is not valid at ${shop.name}`);
+  }
+  if (pricing.totalAmount < coupon.minOrderValue) {
+    throw couponError('COUPON_MIN_ORDER', `Coupon ${coupon.code} needs an order of at least ${coupon.minOrderValue}`);
+  }
+  if (coupon.usageLimit && coupon.redeemedCount >= coupon.usageLimit) {
+    throw couponError('COUPON_USED_UP', `Coupon ${coupon.code} has been used up`);
+  }
+
+  const usage = await CouponUsage.findOne({ couponId: coupon._id, userId });
+  if (usage && usage.used >= coupon.perUserLimit) {
+    throw couponError('COUPON_USER_LIMIT', `You have already used coupon ${coupon.code}`);
+  }
+
+  const productIds = await eligibleProductIds(coupon, pricing.items);
+  const line = {
+    couponId: coupon._id,
+    code: coupon.code,
+    scope: coupon.scope,
+    discountType: coupon.discountType,
+    value: coupon.value,
+    maxDiscount: coupon.maxDiscount,
+    productIds: productIds || []
+  };
+  line.amount = (productIds && productIds.length === 0) ? 0 : discountFor(line, pricing.items);
+
+  if (line.amount <= 0) {
+    throw couponError('COUPON_NOT_APPLICABLE', `None of the items in your order qualify for coupon ${coupon.code}`);
+  }
+
+  return { coupon, line };
+};
+
+// Give back a use taken by claimCoupon
+const unclaimCoupon = async (couponId, userId) => {
+  await Promise.all([
+    Coupon.updateOne({ _id: couponId, redeemedCount: { $gt: 0 } }, { $inc: { redeemedCount: -1 } }),
+    CouponUsage.updateOne({ couponId, userId, used: { $gt: 0 } }, { $inc: { used: -1 } })
+  ]);
+};
+
+/**
+ * Take one use of a coupon for a customer. Both counters are incremented
+ * conditionally, so concurrent orders cannot go over usageLimit or
+ * perUserLimit. Throws 409 when the last use was just taken.
+ */
+const claimCoupon = async (coupon, userId) => {
+  const claimed = await Coupon.updateOne(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$redeemedCount', '$usageLimit'] } }]
+    },
+    { $inc: { redeemedCount: 1 } }
+  );
+
+  if (claimed.modifiedCount !== 1) {
+    throw couponError('COUPON_USED_UP', `Coupon ${coupon.code} has been used up`, 409);
+  }
+
+  await CouponUsage.updateOne(
+    { couponId: coupon._id, userId },
+    { $setOnInsert: { used: 0 } },
+    { upsert: true }
+  );
+
+  const used = await CouponUsage.updateOne(
+    { couponId: coupon._id, userId, used: { $lt: coupon.perUserLimit } },
+    { $inc: { used: 1 } }
+  );
+
+  if (used.modifiedCount !== 1) {
+    await Coupon.updateOne({ _id: coupon._id, redeemedCount: { $gt: 0 } }, { $inc: { redeemedCount: -1 } });
+    throw couponError('COUPON_USER_LIMIT', `You have already used coupon ${coupon.code}`, 409);
+  }
+};
+
+// Record the coupons of a freshly saved order
+const recordRedemptions = async (order) => {
+  if (!order.discounts || order.discounts.length === 0) return;
+
+  await CouponRedemption.insertMany(order.discounts.map(line => ({
+    couponId: line.couponId,
+    code: line.code,
+    scope: line.scope,
+    orderId: order._id,
+    userId: order.userId,
+    shopId: order.shopId,
+    discount: line.amount,
+    orderSubtotal: order.subtotal,
+    orderTotal: order.totalAmount
+  })));
+};
+
+// Remove the redemptions of an order that could not be saved
+const discardRedemptions = (order) => CouponRedemption.deleteMany({ orderId: order._id });
+
+// Keep redemptions in step with an order whose items (and so discounts) changed
+const syncRedemptions = async (order) => {
+  if (!order.discounts || order.discounts.length === 0) return;
+
+  await CouponRedemption.bulkWrite(order.discounts.map(line => ({
+    updateOne: {
+      filter: { couponId: line.couponId, orderId: order._id },
+      update: { $set: { discount: line.amount, orderSubtotal: order.subtotal, orderTotal: order.totalAmount } }
+    }
+  })));
+};
+
+/**
+ * Give the coupons of a cancelled/expired order back to the customer.
+ * The status flip is conditional, so a use is never returned twice.
+ */
+const releaseCoupons = async (order) => {
+  if (!order.discounts || order.discounts.length === 0) return;
+
+  for (const line of order.discounts) {
+    const result = await CouponRedemption.updateOne(
+      { couponId: line.couponId, orderId: order._id, status: 'applied' },
+      { $set: { status: 'released', releasedAt: new Date() } }
+    );
+
+    if (result.modifiedCount === 1) {
+      await unclaimCoupon(line.couponId, order.userId);
+    }
+  }
+};
+
+/**
+ * Redemptions of coupons used at a shop (its own and platform coupons)
+ * since `days` ago, per coupon and in total. `orderValue` is what customers
+ * paid after the discount; orders that were cancelled or expired only count
+ * in `released`.
+ */
+const couponAnalytics = async (shopId, { days = 30 } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(shopId || '')) {
+    throw new ServiceError('shopId is not valid');
+  }
+
+  const shopObjectId = new mongoose.Types.ObjectId(shopId.toString());
+  const since = new Date(Date.now() - Math.min(Math.max(parseInt(days) || 30, 1), 365) * 24 * 60 * 60 * 1000);
+  const applied = { $eq: ['$status', 'applied'] };
+
+  const [stats, shopCoupons] = await Promise.all([
+    CouponRedemption.aggregate([
+      { $match: { shopId: shopObjectId, createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: '$couponId',
+          code: { $first: '$code' },
+          scope: { $first: '$scope' },
+          redemptions: { $sum: { $cond: [applied, 1, 0] } },
+          released: { $sum: { $cond: [applied, 0, 1] } },
+          discountTotal: { $sum: { $cond: [applied, '$discount', 0] } },
+          orderValue: { $sum: { $cond: [applied, '$orderTotal', 0] } },
+          customers: { $addToSet: { $cond: [applied, '$userId', '$$REMOVE'] } }
+        }
+      }
+    ]),
+    Coupon.find({ shopId: shopObjectId }).select('code scope discountType value isActive validUntil usageLimit redeemedCount').lean()
+  ]);
+
+  const statsById = new Map(stats.map(entry => [entry._id.toString(), entry]));
+  const couponsById = new Map(shopCoupons.map(coupon => [coupon._id.toString(), coupon]));
+  const ids = [...new Set([...couponsById.keys(), ...statsById.keys()])];
+
+  const coupons = ids.map(id => {
+    const entry = statsById.get(id) || { redemptions: 0, released: 0, discountTotal: 0, orderValue: 0, customers: [] };
+    const coupon = couponsById.get(id);
+
+    return {
+      couponId: id,
+      code: coupon ? coupon.code : entry.code,
+      scope: coupon ? coupon.scope : entry.scope,
+      discountType: coupon?.discountType,
+      value: coupon?.value,
+      isActive: coupon?.isActive,
+      validUntil: coupon?.validUntil,
+      usageLimit: coupon?.usageLimit,
+      redeemedCount: coupon?.redeemedCount,
+      redemptions: entry.redemptions,
+      released: entry.released,
+      uniqueCustomers: entry.customers.length,
+      discountTotal: roundAmount(entry.discountTotal),
+      orderValue: roundAmount(entry.orderValue),
+      averageDiscount: entry.redemptions > 0 ? roundAmount(entry.discountTotal / entry.redemptions) : 0
+    };
+  }).sort((a, b) => b.redemptions - a.redemptions);
+
+  const totals = coupons.reduce((sum, coupon) => ({
+    redemptions: sum.redemptions + coupon.redemptions,
+    released: sum.released + coupon.released,
+    discountTotal: roundAmount(sum.discountTotal + coupon.discountTotal),
+    orderValue: roundAmount(sum.orderValue + coupon.orderValue)
+  }), { redemptions: 0, released: 0, discountTotal: 0, orderValue: 0 });
+
+  return { since, totals, coupons };
+};
+
+module.exports = {
+  COUPON_TYPES,
+  COUPON_SCOPES,
+  normalizeCode,
+  canManageCoupon,
+  createCoupon,
+  updateCoupon,
+  discountFor,
+  quoteCoupon,
+  claimCoupon,
+  unclaimCoupon,
+  recordRedemptions,
+  discardRedemptions,
+  syncRedemptions,
+  releaseCoupons,
+  couponAnalytics
+};
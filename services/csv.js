@@ -0,0 +1,84 @@
+// Minimal RFC 4180 CSV reading/writing for catalogue import and export
+
+// Cells starting like a spreadsheet formula are written with a leading quote
+// so opening an export in Excel/Sheets never runs them
+const FORMULA_START = /^[=+\-@]/;
+
+/**
+ * Parse CSV text into rows of strings.
+ * Handles quoted cells with commas, escaped quotes ("") and line breaks,
+ * CRLF line endings and a UTF-8 BOM. Blank lines are skipped.
+ * @returns {string[][]}
+ */
+const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV has an unterminated quoted cell');
+  }
+  if (cell !== '' || row.length > 0) endRow();
+
+  // Undo the formula guard added by toCsv
+  return rows.map(cells => cells.map(value => (value[0] === "'" && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value)));
+};
+
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) || text.trim() !== text ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write objects as CSV with a header row, in the order of `columns`.
+ * @param {Object[]} records
+ * @param {string[]} columns
+ * @returns {string}
+ */
+const toCsv = (records, columns) => [
+  columns.join(','),
+  ...records.map(record => columns.map(column => escapeCell(record[column])).join(','))
+].join('\r\n') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
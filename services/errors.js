@@ -0,0 +1,35 @@
+/**
+ * Error thrown by services for problems the client can act on.
+ * Routes answer with `statusCode` and `message` (plus `details` as `errors`
+ * when present) instead of a generic 500.
+ */
+class ServiceError extends Error {
+  constructor(message, statusCode = 400, details) {
+    super(message);
+    this.name = 'ServiceError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Answer a route's error: a ServiceError with its status, message and details,
+ * anything else as a logged 500 with the route's `fallback` message.
+ */
+const sendError = (res, error, fallback) => {
+  if (error instanceof ServiceError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.details && { errors: error.details })
+    });
+  }
+  console.error(`❌ ${fallback}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallback,
+    error: error.message
+  });
+};
+
+module.exports = { ServiceError, sendError };
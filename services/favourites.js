@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Shop = require('../models/Shop');
+const Product = require('../models/Product');
+const { isShopOpenNow } = require('./shopHours');
+const { ServiceError } = require('./errors');
+
+// Per list, so a user document stays small
+const MAX_FAVOURITES = 100;
+
+const SHOP_FIELDS = 'name description category address imageUrl rating ratingCount isOpen isActive isApproved timezone openingHours specialHours';
+
+const toObjectId = (id, name) => {
+  if (!mongoose.Types.ObjectId.isValid(id || '')) {
+    throw new ServiceError(`${name} is not valid`);
+  }
+  return new mongoose.Types.ObjectId(id.toString());
+};
+
+// Nothing was added: find out whether it was already there, the list is full or the user is unknown
+const explainNoop = async (userId, field, alreadyThere) => {
+  const user = await User.findOne({ userId }).select(field);
+  if (!user) {
+    throw new ServiceError('User not found', 404);
+  }
+  if (!user[field].some(alreadyThere)) {
+    throw new ServiceError(`You can keep at most ${MAX_FAVOURITES} favourites`);
+  }
+};
+
+const addFavouriteShop = async (userId, shopId) => {
+  const id = toObjectId(shopId, 'shopId');
+
+  if (!await Shop.exists({ _id: id })) {
+    throw new ServiceError('Shop not found', 404);
+  }
+
+  const result = await User.updateOne(
+    { userId, 'favouriteShops.shopId': { $ne: id }, [`favouriteShops.${MAX_FAVOURITES - 1}`]: { $exists: false } },
+    { $push: { favouriteShops: { shopId: id, addedAt: new Date() } } }
+  );
+
+  if (result.modifiedCount === 0) {
+    await explainNoop(userId, 'favouriteShops', entry => entry.shopId.equals(id));
+  }
+};
+
+const removeFavouriteShop = async (userId, shopId) => {
+  await User.updateOne({ userId }, { $pull: { favouriteShops: { shopId: toObjectId(shopId, 'shopId') } } });
+};
+
+// A product is favourited as a whole or as one of its variants
+const addFavouriteProduct = async (userId, productId, variantId) => {
+  const id = toObjectId(productId, 'productId');
+  const product = await Product.findById(id).select('variants');
+
+  if (!product) {
+    throw new ServiceError('Product not found', 404);
+  }
+
+  const variant = variantId ? product.findVariant(variantId) : null;
+  if (variantId && !variant) {
+    throw new ServiceError('Variant not found', 404);
+  }
+
+  const variantValue = variant ? variant._id : null;
+  const sameEntry = { productId: id, variantId: variantValue };
+
+  const result = await User.updateOne(
+    {
+      userId,
+      favouriteProducts: { $not: { $elemMatch: sameEntry } },
+      [`favouriteProducts.${MAX_FAVOURITES - 1}`]: { $exists: false }
+    },
+    { $push: { favouriteProducts: { ...sameEntry, addedAt: new Date() } } }
+  );
+
+  if (result.modifiedCount === 0) {
+    await explainNoop(userId, 'favouriteProducts', entry => entry.productId.equals(id) &&
+      String(entry.variantId || '') === String(variantValue || ''));
+  }
+};
+
+const removeFavouriteProduct = async (userId, productId, variantId) => {
+  const entry = { productId: toObjectId(productId, 'productId') };
+  if (variantId) entry.variantId = toObjectId(variantId, 'variantId');
+
+  await User.updateOne({ userId }, { $pull: { favouriteProducts: entry } });
+};
+
+// Why a shop cannot be ordered from at the moment (null if it can)
+const shopIssue = (shop) => {
+  if (!shop) return { code: 'SHOP_NOT_FOUND', message: 'Shop no longer exists' };
+  if (!shop.isActive || !shop.isApproved) return { code: 'SHOP_UNAVAILABLE', message: `${shop.name} is not taking orders` };
+  return null;
+};
+
+// Why a favourite product cannot be bought right now (null if it can)
+const productIssue = (product, variantId, shop) => {
+  if (!product) return { code: 'PRODUCT_NOT_FOUND', message: 'Product no longer exists' };
+
+  const problem = shopIssue(shop);
+  if (problem) return problem;
+
+  const variant = variantId ? product.findVariant(variantId) : null;
+  if (variantId && !variant) return { code: 'VARIANT_NOT_FOUND', message: `That option of ${product.name} no longer exists` };
+
+  if (!product.isAvailable || (variant && !variant.isAvailable)) {
+    return { code: 'UNAVAILABLE', message: `${product.name} is currently unavailable` };
+  }
+  if ((variant ? variant.stock : product.stock) <= 0) {
+    return { code: 'OUT_OF_STOCK', message: `${product.name} is out of stock` };
+  }
+  return null;
+};
+
+/**
+ * The customer's favourite shops and products with their current state:
+ * open now, price, stock and whether they can be ordered (`issue` says why not).
+ */
+const listFavourites = async (userId) => {
+  const user = await User.findOne({ userId }).select('favouriteShops favouriteProducts');
+  if (!user) {
+    throw new ServiceError('User not found', 404);
+  }
+
+  const products = await Product.find({ _id: { $in: user.favouriteProducts.map(entry => entry.productId) } });
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  const shopIds = [...new Set([
+    ...user.favouriteShops.map(entry => entry.shopId.toString()),
+    ...products.map(product => product.shopId)
+  ])].filter(id => mongoose.Types.ObjectId.isValid(id));
+  const shops = await Shop.find({ _id: { $in: shopIds } }).select(SHOP_FIELDS).lean();
+  const shopsById = new Map(shops.map(shop => [shop._id.toString(), shop]));
+
+  const favouriteShops = user.favouriteShops.map(entry => {
+    const shop = shopsById.get(entry.shopId.toString());
+    const issue = shopIssue(shop);
+    return {
+      shopId: entry.shopId,
+      addedAt: entry.addedAt,
+      shop: shop ? {
+        name: shop.name,
+        category: shop.category,
+        address: shop.address,
+        imageUrl: shop.imageUrl,
+        rating: shop.rating,
+        ratingCount: shop.ratingCount
+      } : null,
+      isOpenNow: shop ? isShopOpenNow(shop) : false,
+      available: !issue,
+      issue
+    };
+  });
+
+  const favouriteProducts = user.favouriteProducts.map(entry => {
+    const product = productsById.get(entry.productId.toString());
+    const shop = product ? shopsById.get(product.shopId) : null;
+    const variant = product && entry.variantId ? product.findVariant(entry.variantId) : null;
+    const issue = productIssue(product, entry.variantId, shop);
+
+    return {
+      productId: entry.productId,
+      variantId: entry.variantId || undefined,
+      addedAt: entry.addedAt,
+      product: product ? {
+        name: product.name,
+        variantName: variant ? variant.name : undefined,
+        imageUrl: (variant && variant.imageUrls[0]) || product.imageUrl,
+        unit: product.unit,
+        price: variant ? variant.price : product.price,
+        stock: variant ? variant.stock : product.stock,
+        rating: product.rating,
+        variantSummary: variant ? null : product.variantSummary,
+        shopId: product.shopId,
+        shopName: shop ? shop.name : product.shopName
+      } : null,
+      isShopOpenNow: shop ? isShopOpenNow(shop) : false,
+      available: !issue,
+      issue
+    };
+  });
+
+  return { shops: favouriteShops, products: favouriteProducts };
+};
+
+module.exports = {
+  MAX_FAVOURITES,
+  addFavouriteShop,
+  removeFavouriteShop,
+  addFavouriteProduct,
+  removeFavouriteProduct,
+  listFavourites
+};
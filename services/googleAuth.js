@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ServiceError } = require('./errors');
+
+const GOOGLE_CERTS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+
+// { keys: Map(kid -> KeyObject), expiresAt }
+let signingKeys = null;
+
+// OAuth client ids of our apps (Android, iOS, web); tokens for other apps are refused
+const clientIds = () => (process.env.GOOGLE_CLIENT_IDS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+// Google's public signing keys, cached for as long as its Cache-Control allows
+const loadSigningKeys = async (refresh = false) => {
+  if (!refresh && signingKeys && signingKeys.expiresAt > Date.now()) {
+    return signingKeys.keys;
+  }
+
+  const response = await fetch(GOOGLE_CERTS_URL);
+  if (!response.ok) {
+    throw new Error(`Could not load Google signing keys (HTTP ${response.status})`);
+  }
+
+  const { keys } = await response.json();
+  const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+
+  signingKeys = {
+    keys: new Map(keys.map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])),
+    expiresAt: Date.now() + (maxAge ? Number(maxAge[1]) : 3600) * 1000
+  };
+
+  return signingKeys.keys;
+};
+
+const invalidToken = (message = 'Invalid Google sign-in token') => new ServiceError(message, 401);
+
+/**
+ * Verify a Google ID token from the app's Google Sign-In: signature,
+ * audience (GOOGLE_CLIENT_IDS), issuer and expiry. This is the only proof of
+ * who is signing in; ids and emails in the request body are never trusted.
+ *
+ * @param {string} idToken
+ * @returns {Promise<{googleId: string, email: string, name?: string}>}
+ */
+const verifyGoogleIdToken = async (idToken) => {
+  const audience = clientIds();
+  if (audience.length === 0) {
+    throw new Error('Google sign-in not configured on server');
+  }
+
+  if (typeof idToken !== 'string' || !idToken) {
+    throw invalidToken('idToken is required');
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header.kid) {
+    throw invalidToken();
+  }
+
+  // Google rotates its keys: an unknown key id means our copy may be stale
+  let key = (await loadSigningKeys()).get(decoded.header.kid);
+  if (!key) {
+    key = (await loadSigningKeys(true)).get(decoded.header.kid);
+  }
+  if (!key) {
+    throw invalidToken();
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(idToken, key, { algorithms: ['RS256'], audience, issuer: GOOGLE_ISSUERS });
+  } catch (error) {
+    throw invalidToken();
+  }
+
+  if (!payload.email || !(payload.email_verified === true || payload.email_verified === 'true')) {
+    throw invalidToken('The Google account has no verified email');
+  }
+
+  return {
+    googleId: payload.sub,
+    email: payload.email.toLowerCase(),
+    name: payload.name
+  };
+};
+
+module.exports = { verifyGoogleIdToken };
@@ -0,0 +1,118 @@
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+
+// Put quantities back on the shelf (used for rollbacks and releases).
+// Variant stock and the product's total stock move together.
+const restockItems = async (items) => {
+  await Promise.all(items.map(item => (item.variantId
+    ? Product.updateOne(
+      { _id: item.productId, 'variants._id': item.variantId },
+      { $inc: { stock: item.quantity, 'variants.$.stock': item.quantity } }
+    )
+    : Product.updateOne({ _id: item.productId }, { $inc: { stock: item.quantity } })
+  )));
+};
+
+// Atomically take `quantity` of one item, only while enough is left
+const takeStock = async (item) => {
+  const result = item.variantId
+    ? await Product.updateOne(
+      {
+        _id: item.productId,
+        isAvailable: true,
+        variants: { $elemMatch: { _id: item.variantId, isAvailable: true, stock: { $gte: item.quantity } } }
+      },
+      { $inc: { stock: -item.quantity, 'variants.$.stock': -item.quantity } }
+    )
+    : await Product.updateOne(
+      { _id: item.productId, isAvailable: true, stock: { $gte: item.quantity } },
+      { $inc: { stock: -item.quantity } }
+    );
+
+  return result.modifiedCount === 1;
+};
+
+// What is left of an item that could not be reserved
+const availableStock = async (item) => {
+  const product = await Product.findById(item.productId).select('stock variants');
+  if (!product) return 0;
+
+  if (item.variantId) {
+    const variant = product.findVariant(item.variantId);
+    return variant ? variant.stock : 0;
+  }
+
+  return product.stock;
+};
+
+/**
+ * Atomically take stock for every item of an order.
+ *
+ * Each decrement only matches while enough stock is left, so two concurrent
+ * orders can never both take the last unit. If any item cannot be reserved,
+ * everything reserved so far is put back and the failures are returned.
+ *
+ * @returns {Promise<{ok: boolean, errors: Array}>}
+ */
+const reserveStock = async (items) => {
+  const reserved = [];
+  const errors = [];
+
+  for (const item of items) {
+    if (await takeStock(item)) {
+      reserved.push(item);
+      continue;
+    }
+
+    const available = await availableStock(item);
+    errors.push({
+      productId: item.productId.toString(),
+      ...(item.variantId && { variantId: item.variantId.toString() }),
+      code: 'OUT_OF_STOCK',
+      message: `Only ${available} left of ${item.productName}${item.variantName ? ` (${item.variantName})` : ''}`,
+      available
+    });
+  }
+
+  if (errors.length > 0) {
+    await restockItems(reserved);
+    return { ok: false, errors };
+  }
+
+  return { ok: true, errors };
+};
+
+/**
+ * Return an order's reserved stock (Cancelled / Expired orders).
+ * The stockStatus flip is conditional, so a release can never run twice.
+ */
+const releaseStock = async (order) => {
+  const result = await Order.updateOne(
+    { _id: order._id, stockStatus: 'reserved' },
+    { $set: { stockStatus: 'released' } }
+  );
+
+  if (result.modifiedCount === 1) {
+    await restockItems(order.items);
+    order.stockStatus = 'released';
+  }
+};
+
+// Mark reserved stock as sold (Completed orders); the units already left the shelf at placement
+const consumeStock = async (order) => {
+  const result = await Order.updateOne(
+    { _id: order._id, stockStatus: 'reserved' },
+    { $set: { stockStatus: 'consumed' } }
+  );
+
+  if (result.modifiedCount === 1) {
+    order.stockStatus = 'consumed';
+  }
+};
+
+module.exports = {
+  restockItems,
+  reserveStock,
+  releaseStock,
+  consumeStock
+};
@@ -0,0 +1,104 @@
+const jwt = require('jsonwebtoken');
+
+// Firebase Cloud Messaging (HTTP v1) using a service account
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+
+let cachedAccessToken = null;
+
+const credentials = () => {
+  const { FCM_PROJECT_ID, FCM_CLIENT_EMAIL, FCM_PRIVATE_KEY } = process.env;
+
+  if (!FCM_PROJECT_ID || !FCM_CLIENT_EMAIL || !FCM_PRIVATE_KEY) {
+    throw new Error('FCM credentials not configured (FCM_PROJECT_ID, FCM_CLIENT_EMAIL, FCM_PRIVATE_KEY)');
+  }
+
+  return {
+    projectId: FCM_PROJECT_ID,
+    clientEmail: FCM_CLIENT_EMAIL,
+    // Env files usually store the key with escaped newlines
+    privateKey: FCM_PRIVATE_KEY.replace(/\\n/g, '\n')
+  };
+};
+
+// OAuth access token from a self-signed service account assertion, cached until shortly before expiry
+const getAccessToken = async ({ clientEmail, privateKey }) => {
+  if (cachedAccessToken && cachedAccessToken.expiresAt > Date.now() + 60 * 1000) {
+    return cachedAccessToken.token;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const assertion = jwt.sign(
+    { iss: clientEmail, scope: SCOPE, aud: TOKEN_URL, iat: now, exp: now + 3600 },
+    privateKey,
+    { algorithm: 'RS256' }
+  );
+
+  const response = await fetch(TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`FCM auth failed with status ${response.status}`);
+  }
+
+  const body = await response.json();
+  cachedAccessToken = {
+    token: body.access_token,
+    expiresAt: Date.now() + body.expires_in * 1000
+  };
+
+  return cachedAccessToken.token;
+};
+
+// FCM only accepts string values in the data payload
+const stringifyData = (data = {}) => Object.fromEntries(
+  Object.entries(data).map(([key, value]) => [key, String(value)])
+);
+
+const send = async (tokens, message) => {
+  const creds = credentials();
+  const accessToken = await getAccessToken(creds);
+  const url = `https://fcm.googleapis.com/v1/projects/${creds.projectId}/messages:send`;
+
+  const invalidTokens = [];
+
+  await Promise.all(tokens.map(async (token) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        message: {
+          token,
+          notification: { title: message.title, body: message.body },
+          data: stringifyData(message.data)
+        }
+      })
+    });
+
+    if (response.ok) return;
+
+    // 404 UNREGISTERED / 400 INVALID_ARGUMENT: the app was uninstalled or the token is stale
+    if (response.status === 404 || response.status === 400) {
+      invalidTokens.push(token);
+      return;
+    }
+
+    console.error('❌ FCM send failed:', response.status, await response.text());
+  }));
+
+  return { invalidTokens };
+};
+
+module.exports = {
+  name: 'fcm',
+  send
+};
@@ -0,0 +1,48 @@
+const User = require('../../models/User');
+const Shop = require('../../models/Shop');
+const logProvider = require('./logProvider');
+const fcmProvider = require('./fcmProvider');
+
+const PROVIDERS = {
+  [logProvider.name]: logProvider,
+  [fcmProvider.name]: fcmProvider
+};
+
+// NOTIFICATION_PROVIDER=fcm in production; anything else falls back to the log provider
+const getProvider = () => PROVIDERS[process.env.NOTIFICATION_PROVIDER] || logProvider;
+
+/**
+ * Send a notification to the device tokens stored on a User or Shop document
+ * and drop tokens the provider reports as no longer valid.
+ *
+ * @param {Model} Model - User or Shop
+ * @param {Object} filter - selects the recipient document
+ * @param {{title: string, body: string, data?: Object}} message
+ */
+const notifyRecipient = async (Model, filter, message) => {
+  const recipient = await Model.findOne(filter).select('+deviceTokens');
+  if (!recipient || recipient.deviceTokens.length === 0) return;
+
+  const tokens = recipient.deviceTokens.map(device => device.token);
+  const { invalidTokens } = await getProvider().send(tokens, message);
+
+  if (invalidTokens.length > 0) {
+    await Model.updateOne(filter, { $pull: { deviceTokens: { token: { $in: invalidTokens } } } });
+  }
+};
+
+const notifyUser = (userId, message) => notifyRecipient(User, { userId }, message);
+
+const notifyShop = (shopId, message) => notifyRecipient(Shop, { _id: shopId }, message);
+
+// Notifications must never break the request that triggered them
+const deliver = (promise) => {
+  promise.catch(error => console.error('❌ Failed to send notification:', error.message));
+};
+
+module.exports = {
+  getProvider,
+  notifyUser,
+  notifyShop,
+  deliver
+};
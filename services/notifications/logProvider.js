@@ -0,0 +1,19 @@
+// Local provider: prints notifications instead of sending them.
+// The last messages are kept in memory so they can be inspected in tests.
+const MAX_KEPT = 100;
+const sent = [];
+
+const send = async (tokens, message) => {
+  console.log('🔔 [notification]', { tokens: tokens.length, title: message.title, body: message.body, data: message.data });
+
+  sent.push({ tokens, message, sentAt: new Date() });
+  if (sent.length > MAX_KEPT) sent.shift();
+
+  return { invalidTokens: [] };
+};
+
+module.exports = {
+  name: 'log',
+  send,
+  sent
+};
@@ -0,0 +1,70 @@
+const { notifyUser, notifyShop, deliver } = require('./index');
+
+const dataFor = (order) => ({
+  type: 'order',
+  orderId: order._id.toString(),
+  status: order.status
+});
+
+// Customer-facing message per new status
+const customerMessages = {
+  Accepted: (order) => ({ title: 'Order accepted', body: `${order.shopName} accepted order ${order.orderNumber}` }),
+  Ready: (order) => ({ title: 'Ready for pickup', body: `Order ${order.orderNumber} is ready at ${order.shopName}` }),
+  Completed: (order) => ({ title: 'Order picked up', body: `Thanks for shopping at ${order.shopName}!` }),
+  Cancelled: (order) => ({ title: 'Order cancelled', body: `Order ${order.orderNumber} was cancelled${order.cancellationReason ? `: ${order.cancellationReason}` : ''}` }),
+  Expired: (order) => ({ title: 'Order expired', body: `Order ${order.orderNumber} expired before pickup` })
+};
+
+// Who cancelled, as the shop should read it
+const cancelledBy = (order, actor) => {
+  if (actor.type === 'customer') return `${order.customerName} cancelled order ${order.orderNumber}`;
+  if (actor.type === 'admin') return `Order ${order.orderNumber} was cancelled by support`;
+  return `Order ${order.orderNumber} was cancelled`;
+};
+
+// Shop-facing message per new status
+const shopMessages = {
+  Cancelled: (order, actor) => ({
+    title: 'Order cancelled',
+    body: `${cancelledBy(order, actor)}${order.cancellationReason ? `: ${order.cancellationReason}` : ''}`
+  }),
+  Expired: (order) => ({ title: 'Order expired', body: `Order ${order.orderNumber} was not picked up in time` })
+};
+
+/**
+ * Push notifications for order events:
+ * - new order (POST /api/orders) → shop
+ * - status changes (PUT /api/orders/:id/status, verify-pin, expiry) → the other party
+ * - items removed by the shop (PATCH /api/orders/:id/items) → customer
+ */
+const registerOrderNotifications = (orderEvents) => {
+  orderEvents.on('created', ({ order }) => {
+    deliver(notifyShop(order.shopId, {
+      title: 'New order',
+      body: `${order.customerName} placed order ${order.orderNumber} (₹${order.totalAmount})`,
+      data: dataFor(order)
+    }));
+  });
+
+  orderEvents.on('status_changed', ({ order, to, actor }) => {
+    // Don't notify whoever made the change
+    if (customerMessages[to] && actor.type !== 'customer') {
+      deliver(notifyUser(order.userId, { ...customerMessages[to](order), data: dataFor(order) }));
+    }
+
+    if (shopMessages[to] && actor.type !== 'shop') {
+      deliver(notifyShop(order.shopId, { ...shopMessages[to](order, actor), data: dataFor(order) }));
+    }
+  });
+
+  orderEvents.on('items_adjusted', ({ order, adjustments, amount }) => {
+    const names = adjustments.map(adjustment => adjustment.productName).join(', ');
+    deliver(notifyUser(order.userId, {
+      title: 'Order updated',
+      body: `${order.shopName} changed ${names} in order ${order.orderNumber}. New total ₹${order.totalAmount} (₹${amount} less)`,
+      data: dataFor(order)
+    }));
+  });
+};
+
+module.exports = { registerOrderNotifications };
@@ -0,0 +1,32 @@
+const { notifyUser, notifyShop, deliver } = require('./index');
+
+const dataFor = (review) => ({
+  type: 'review',
+  reviewId: review._id.toString(),
+  orderId: review.orderId.toString()
+});
+
+/**
+ * Push notifications for review events:
+ * - new review (POST /api/reviews) → shop
+ * - shop reply (POST /api/reviews/:id/reply) → customer
+ */
+const registerReviewNotifications = (reviewEvents) => {
+  reviewEvents.on('created', ({ review }) => {
+    deliver(notifyShop(review.shopId, {
+      title: 'New review',
+      body: `${review.customerName || 'A customer'} rated your shop ${review.rating}★${review.comment ? `: "${review.comment.slice(0, 80)}"` : ''}`,
+      data: dataFor(review)
+    }));
+  });
+
+  reviewEvents.on('replied', ({ review }) => {
+    deliver(notifyUser(review.userId, {
+      title: 'The shop replied to your review',
+      body: review.reply.text.slice(0, 120),
+      data: dataFor(review)
+    }));
+  });
+};
+
+module.exports = { registerReviewNotifications };
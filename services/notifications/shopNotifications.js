@@ -0,0 +1,32 @@
+const { notifyShop, deliver } = require('./index');
+
+const dataFor = (shop) => ({
+  type: 'shop_approval',
+  shopId: shop._id.toString(),
+  approvalStatus: shop.approvalStatus
+});
+
+/**
+ * Push notifications for the shop approval workflow:
+ * - approved (PATCH /api/admin/shops/:id/approval) → shop
+ * - rejected, with the admin's reason → shop
+ */
+const registerShopApprovalNotifications = (shopApprovalEvents) => {
+  shopApprovalEvents.on('approved', ({ shop }) => {
+    deliver(notifyShop(shop._id, {
+      title: 'Your shop is approved',
+      body: `${shop.name} is now live and can take orders`,
+      data: dataFor(shop)
+    }));
+  });
+
+  shopApprovalEvents.on('rejected', ({ shop, reason }) => {
+    deliver(notifyShop(shop._id, {
+      title: 'Your shop was not approved',
+      body: reason.slice(0, 120),
+      data: dataFor(shop)
+    }));
+  });
+};
+
+module.exports = { registerShopApprovalNotifications };
@@ -0,0 +1,158 @@
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { roundAmount } = require('./pricing');
+const { restockItems } = require('./inventory');
+const { orderEvents } = require('./orderLifecycle');
+const { refundOrder } = require('./payments/refunds');
+const { discountFor, syncRedemptions } = require('./coupons');
+const { ServiceError } = require('./errors');
+
+// Items can only change while the order is still waiting for pickup
+const ADJUSTABLE_STATUSES = ['Pending', 'Accepted', 'Ready'];
+
+/**
+ * Remove items from an order or reduce their quantity before pickup
+ * (typically because the shop ran out of something).
+ *
+ * totalAmount is recalculated from the prices the customer was charged less
+ * the coupon discounts (recomputed on the remaining items, never raised), the
+ * freed stock goes back on the shelf, User.totalSpent is reduced and, for a
+ * captured online payment, the difference is refunded. Shop.totalRevenue
+ * needs no change: it is only added on pickup, from the adjusted total.
+ *
+ * @param {Document} order - order as loaded by the caller
+ * @param {Array} changes - [{ itemId, quantity }] where quantity is the new, lower quantity (0 removes)
+ * @param {Object} options
+ * @param {{type: string, id: string}} options.actor
+ * @param {string} [options.reason]
+ * @returns {Promise<{order: Document, refund: Document|null, amount: number}>}
+ */
+const adjustOrderItems = async (order, changes, { actor, reason }) => {
+  if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+    throw new ServiceError('reason must be text');
+  }
+
+  if (!ADJUSTABLE_STATUSES.includes(order.status)) {
+    throw new ServiceError(`Items cannot be changed on a ${order.status.toLowerCase()} order`);
+  }
+
+  // A payment in flight was requested for the old total
+  if (order.paymentMethod === 'online' && order.paymentStatus === 'authorized') {
+    throw new ServiceError('A payment for this order is being processed, try again shortly', 409);
+  }
+
+  const errors = [];
+  const newQuantities = new Map();
+
+  changes.forEach((change, index) => {
+    const itemId = change && change.itemId ? change.itemId.toString() : '';
+    const item = order.items.find(orderItem => orderItem._id.toString() === itemId);
+    const quantity = Number(change && change.quantity);
+
+    if (!item) {
+      errors.push({ index, itemId, code: 'ITEM_NOT_FOUND', message: 'Item is not part of this order' });
+    } else if (!Number.isInteger(quantity) || quantity < 0 || quantity >= item.quantity) {
+      errors.push({ index, itemId, code: 'INVALID_QUANTITY', message: `Quantity of ${item.productName} can only be reduced (below ${item.quantity})` });
+    } else if (newQuantities.has(itemId)) {
+      errors.push({ index, itemId, code: 'DUPLICATE_ITEM', message: `${item.productName} is listed more than once` });
+    } else {
+      newQuantities.set(itemId, quantity);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ServiceError('Some item changes are not valid', 400, errors);
+  }
+
+  const adjustments = [];
+  const released = [];
+  const items = [];
+  const now = new Date();
+  const trimmedReason = reason && reason.trim() ? reason.trim().slice(0, 200) : undefined;
+
+  for (const item of order.items) {
+    const itemId = item._id.toString();
+
+    if (!newQuantities.has(itemId)) {
+      items.push(item.toObject());
+      continue;
+    }
+
+    const quantity = newQuantities.get(itemId);
+    const removed = item.quantity - quantity;
+
+    adjustments.push({
+      itemId: item._id,
+      productId: item.productId,
+      productName: item.productName,
+      fromQuantity: item.quantity,
+      toQuantity: quantity,
+      amount: roundAmount(item.price * removed),
+      reason: trimmedReason,
+      actorType: actor.type,
+      actorId: actor.id,
+      at: now
+    });
+    released.push({ productId: item.productId, variantId: item.variantId, quantity: removed });
+
+    if (quantity > 0) items.push({ ...item.toObject(), quantity });
+  }
+
+  if (items.length === 0) {
+    throw new ServiceError('Removing every item would empty the order, cancel it instead');
+  }
+
+  const subtotal = roundAmount(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+  const discounts = (order.discounts || []).map(line => {
+    const discount = line.toObject();
+    return { ...discount, amount: Math.min(discount.amount, discountFor(discount, items)) };
+  });
+  const discountAmount = roundAmount(discounts.reduce((sum, line) => sum + line.amount, 0));
+  const totalAmount = roundAmount(subtotal - discountAmount);
+  const amount = roundAmount(order.totalAmount - totalAmount);
+
+  // Conditional on the order being exactly as the caller saw it
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status, updatedAt: order.updatedAt },
+    {
+      $set: {
+        items,
+        subtotal,
+        discounts,
+        discountAmount,
+        totalAmount,
+        // An unpaid payment request was for the old total; the customer starts a new one.
+        // The old Payment keeps the order in orderIds, so if it is captured anyway
+        // the payment webhook refunds it (refundDetachedPayment)
+        ...(order.paymentMethod === 'online' && ['pending', 'failed'].includes(order.paymentStatus) && { paymentId: null })
+      },
+      $push: { itemAdjustments: { $each: adjustments } }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new ServiceError('Order was updated by someone else, please refresh', 409);
+  }
+
+  if (order.stockStatus === 'reserved') {
+    await restockItems(released);
+  }
+
+  await syncRedemptions(updated);
+
+  await User.updateOne({ userId: order.userId }, { $inc: { totalSpent: -amount } });
+
+  const refund = await refundOrder(updated, amount, { type: 'partial', reason: trimmedReason || 'Items removed by the shop' });
+
+  console.log('✂️  Order items adjusted:', { orderId: updated._id, removedAmount: amount, newTotal: totalAmount });
+
+  orderEvents.emit('items_adjusted', { order: updated, adjustments, amount, actor });
+
+  return { order: refund ? await Order.findById(updated._id) : updated, refund, amount };
+};
+
+module.exports = {
+  ADJUSTABLE_STATUSES,
+  adjustOrderItems
+};
@@ -0,0 +1,104 @@
+const Order = require('../models/Order');
+const { SYSTEM_ACTOR, transitionOrder } = require('./orderLifecycle');
+const { ServiceError } = require('./errors');
+
+// Orders still waiting for pickup that can run out of time
+const EXPIRABLE_STATUSES = ['Pending', 'Accepted', 'Ready'];
+const BATCH_SIZE = 100;
+
+const expiryReasonFor = (status) => (
+  status === 'Pending'
+    ? 'Shop did not accept the order before it expired'
+    : 'Order was not picked up within the pickup window'
+);
+
+/**
+ * Move one overdue order to Expired.
+ *
+ * The lifecycle update is conditional, so if the order was picked up or
+ * cancelled in the meantime (or another instance expired it first) nothing
+ * happens and null is returned.
+ */
+const expireOrder = async (orderId, now = new Date()) => {
+  const order = await Order.findById(orderId);
+  if (!order || !EXPIRABLE_STATUSES.includes(order.status)) return null;
+
+  try {
+    return await transitionOrder(order, 'Expired', {
+      actor: SYSTEM_ACTOR,
+      reason: expiryReasonFor(order.status),
+      condition: { expiresAt: { $lte: now } }
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) return null;
+    throw error;
+  }
+};
+
+// Expire everything overdue; safe to run from several instances at once
+const sweepExpiredOrders = async (now = new Date()) => {
+  let expiredCount = 0;
+
+  while (true) {
+    const overdue = await Order.find({
+      status: { $in: EXPIRABLE_STATUSES },
+      expiresAt: { $lte: now }
+    })
+      .select('_id')
+      .limit(BATCH_SIZE)
+      .lean();
+
+    if (overdue.length === 0) break;
+
+    let expiredInBatch = 0;
+    for (const { _id } of overdue) {
+      if (await expireOrder(_id, now)) expiredInBatch++;
+    }
+
+    expiredCount += expiredInBatch;
+    if (overdue.length < BATCH_SIZE || expiredInBatch === 0) break;
+  }
+
+  return expiredCount;
+};
+
+/**
+ * Start the in-process expiry scheduler.
+ *
+ * All state lives on the orders themselves, so a restart just picks up
+ * whatever became overdue while the server was down on the first sweep.
+ */
+const startOrderExpiryWorker = () => {
+  const intervalMs = parseInt(process.env.ORDER_EXPIRY_INTERVAL_MS) || 60 * 1000;
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const count = await sweepExpiredOrders();
+      if (count > 0) {
+        console.log(`⏰ Expired ${count} order(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Order expiry sweep failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+
+  console.log(`⏰ Order expiry worker running every ${Math.round(intervalMs / 1000)}s`);
+  return timer;
+};
+
+module.exports = {
+  EXPIRABLE_STATUSES,
+  expireOrder,
+  sweepExpiredOrders,
+  startOrderExpiryWorker
+};
@@ -0,0 +1,214 @@
+const EventEmitter = require('events');
+const Order = require('../models/Order');
+const Shop = require('../models/Shop');
+const User = require('../models/User');
+const { ROLES } = require('../middleware/auth');
+const { releaseStock, consumeStock } = require('./inventory');
+const { releasePickupSlot } = require('./pickupSlots');
+const { releaseCoupons } = require('./coupons');
+const { ServiceError } = require('./errors');
+
+const STATUSES = ['Pending', 'Accepted', 'Ready', 'Completed', 'Cancelled', 'Expired'];
+
+// Allowed moves for everyone except admin overrides
+const TRANSITIONS = {
+  Pending: ['Accepted', 'Cancelled', 'Expired'],
+  Accepted: ['Ready', 'Completed', 'Cancelled', 'Expired'],
+  Ready: ['Completed', 'Cancelled', 'Expired'],
+  Completed: [],
+  Cancelled: [],
+  Expired: []
+};
+
+// Statuses only the system may set (never through the status endpoints)
+const SYSTEM_STATUSES = ['Expired'];
+
+const STATUS_TIMESTAMPS = {
+  Accepted: 'acceptedAt',
+  Ready: 'readyAt',
+  Completed: 'completedAt',
+  Cancelled: 'cancelledAt',
+  Expired: 'expiredAt'
+};
+
+/**
+ * Order events:
+ * - 'created'        ({ order, actor })
+ * - 'status_changed' ({ order, from, to, actor, reason, override })
+ * - 'payment_updated' ({ order, paymentStatus }) - emitted by services/payments
+ * - 'items_adjusted'  ({ order, adjustments, amount, actor }) - emitted by services/orderAdjustments
+ */
+const orderEvents = new EventEmitter();
+
+const ACTOR_TYPES = {
+  [ROLES.CUSTOMER]: 'customer',
+  [ROLES.SHOP_OWNER]: 'shop',
+  [ROLES.ADMIN]: 'admin'
+};
+
+const SYSTEM_ACTOR = { type: 'system', id: 'system' };
+
+// Map req.auth to the actor recorded on status changes
+const actorFromAuth = (auth) => ({
+  type: ACTOR_TYPES[auth.role] || 'system',
+  id: auth.id
+});
+
+// Reasons are free text from the request; anything else is not recorded
+const reasonText = (reason) => (typeof reason === 'string' && reason.trim() ? reason.trim().slice(0, 200) : undefined);
+
+const historyEntry = ({ from, to, actor, reason, override = false, at = new Date() }) => ({
+  from,
+  to,
+  actorType: actor.type,
+  actorId: actor.id,
+  reason: reasonText(reason),
+  override,
+  at
+});
+
+// First statusHistory entry for a new order
+const placementHistory = (actor) => [historyEntry({ from: null, to: 'Pending', actor })];
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+// Counters and stock that follow a status change
+const applySideEffects = async (order, from, to) => {
+  if (to === 'Completed') {
+    await consumeStock(order);
+    await Shop.updateOne({ _id: order.shopId }, { $inc: { totalRevenue: order.totalAmount } });
+  }
+
+  if (to === 'Cancelled' || to === 'Expired') {
+    await releaseStock(order);
+    await releasePickupSlot(order);
+    await releaseCoupons(order);
+  }
+
+  // An expired order never happened: undo the counters bumped at placement
+  if (to === 'Expired') {
+    await Promise.all([
+      Shop.updateOne({ _id: order.shopId }, { $inc: { totalOrders: -1 } }),
+      User.updateOne({ userId: order.userId }, { $inc: { totalOrders: -1, totalSpent: -order.totalAmount } })
+    ]);
+  }
+
+  // The customer was not charged for a cancelled order (prepaid money is refunded)
+  if (to === 'Cancelled') {
+    await User.updateOne({ userId: order.userId }, { $inc: { totalSpent: -order.totalAmount } });
+  }
+
+  // Admin overrides out of a final status undo that status' counters.
+  // Refunds already issued are not taken back.
+  // Stock, pickup slots and coupon uses released by a cancellation/expiry are not taken again.
+  if (from === 'Completed') {
+    await Shop.updateOne({ _id: order.shopId }, { $inc: { totalRevenue: -order.totalAmount } });
+  }
+
+  if (from === 'Cancelled') {
+    await User.updateOne({ userId: order.userId }, { $inc: { totalSpent: order.totalAmount } });
+  }
+
+  if (from === 'Expired') {
+    await Promise.all([
+      Shop.updateOne({ _id: order.shopId }, { $inc: { totalOrders: 1 } }),
+      User.updateOne({ userId: order.userId }, { $inc: { totalOrders: 1, totalSpent: order.totalAmount } })
+    ]);
+  }
+};
+
+/**
+ * Move an order to a new status. This is the only place order status changes.
+ *
+ * The update is conditional on the status the caller saw, so two concurrent
+ * changes cannot both apply.
+ *
+ * @param {Document} order - order as loaded by the caller
+ * @param {string} to - target status
+ * @param {Object} options
+ * @param {{type: string, id: string}} options.actor - who is changing it
+ * @param {string} [options.reason] - cancellation/expiry reason or note
+ * @param {boolean} [options.override] - admin-only: skip the transition rules
+ * @param {Object} [options.condition] - extra filter the order must still match
+ * @param {Object} [options.set] - extra fields to set in the same update
+ * @returns {Promise<Document>} the updated order
+ */
+const transitionOrder = async (order, to, { actor, reason, override = false, condition = {}, set = {} }) => {
+  const from = order.status;
+
+  if (!STATUSES.includes(to)) {
+    throw new ServiceError(`Invalid status: ${to}`);
+  }
+
+  if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+    throw new ServiceError('reason must be text');
+  }
+
+  if (override && actor.type !== 'admin') {
+    throw new ServiceError('Only admins can override order status', 403);
+  }
+
+  if (from === to) {
+    throw new ServiceError(`Order is already ${to}`);
+  }
+
+  if (!override && SYSTEM_STATUSES.includes(to) && actor.type !== 'system') {
+    throw new ServiceError(`Orders cannot be set to ${to} manually`);
+  }
+
+  if (!override && !canTransition(from, to)) {
+    throw new ServiceError(`Cannot change status from ${from} to ${to}`);
+  }
+
+  const now = new Date();
+  const update = {
+    ...set,
+    status: to
+  };
+
+  const timestampField = STATUS_TIMESTAMPS[to];
+  if (timestampField) update[timestampField] = now;
+
+  if (reasonText(reason) && to === 'Cancelled') update.cancellationReason = reasonText(reason);
+  if (reasonText(reason) && to === 'Expired') update.expiryReason = reasonText(reason);
+
+  const updated = await Order.findOneAndUpdate(
+    { ...condition, _id: order._id, status: from },
+    {
+      $set: update,
+      $push: { statusHistory: historyEntry({ from, to, actor, reason, override, at: now }) }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new ServiceError('Order was updated by someone else, please refresh', 409);
+  }
+
+  await applySideEffects(updated, from, to);
+
+  if (override) {
+    console.warn('🛠️  Admin override of order status:', { orderId: updated._id, from, to, reason });
+  }
+
+  orderEvents.emit('status_changed', { order: updated, from, to, actor, reason, override });
+
+  return updated;
+};
+
+// Announce a newly placed order
+const orderPlaced = (order, actor) => {
+  orderEvents.emit('created', { order, actor });
+};
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  SYSTEM_ACTOR,
+  orderEvents,
+  actorFromAuth,
+  canTransition,
+  placementHistory,
+  transitionOrder,
+  orderPlaced
+};
@@ -0,0 +1,350 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Shop = require('../models/Shop');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const Checkout = require('../models/Checkout');
+const { priceOrderItems, roundAmount } = require('./pricing');
+const { reserveStock, restockItems } = require('./inventory');
+const { placementHistory, orderPlaced } = require('./orderLifecycle');
+const { isShopOpenNow, closedMessage } = require('./shopHours');
+const { bookPickupSlot, unbookPickupSlot, slotExpiresAt } = require('./pickupSlots');
+const { quoteCoupon, claimCoupon, unclaimCoupon, recordRedemptions, discardRedemptions } = require('./coupons');
+const { onlinePaymentsEnabled } = require('./payments/gateways');
+const { ServiceError } = require('./errors');
+
+// Why a shop cannot take orders right now (null if it can)
+const shopUnavailableReason = (shop) => {
+  if (!shop) return 'Shop not found';
+  if (!shop.isApproved) return 'Shop is not approved for orders yet';
+  if (!shop.isActive) return 'Shop is not available for orders';
+  if (!isShopOpenNow(shop)) return closedMessage(shop);
+  return null;
+};
+
+const PAYMENT_METHODS = ['pay_at_pickup', 'online'];
+
+// Orders are paid at pickup unless the customer chose to pay online
+const resolvePaymentMethod = (paymentMethod) => {
+  if (paymentMethod === undefined || paymentMethod === null) return 'pay_at_pickup';
+
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    throw new ServiceError(`Invalid paymentMethod. Must be one of: ${PAYMENT_METHODS.join(', ')}`);
+  }
+
+  if (paymentMethod === 'online' && !onlinePaymentsEnabled()) {
+    throw new ServiceError('Online payment is not available, please pay at pickup', 503);
+  }
+
+  return paymentMethod;
+};
+
+// Load a shop and make sure it can take orders
+const loadOrderableShop = async (shopId) => {
+  const shop = mongoose.Types.ObjectId.isValid(shopId) ? await Shop.findById(shopId) : null;
+
+  const reason = shopUnavailableReason(shop);
+  if (reason) {
+    throw new ServiceError(reason, shop ? 400 : 404);
+  }
+
+  return shop;
+};
+
+// Build (but do not save) a Pending order from priced items and an optional coupon discount line
+const buildOrder = ({ shop, pricing, discount, userId, notes, customerName, actor, paymentMethod, pickupSlot, pickupPin, checkoutId }) => new Order({
+  userId,
+  shopId: shop._id,
+  checkoutId,
+  shopName: shop.name,
+  shopAddress: shop.address,
+  shopLatitude: shop.location?.coordinates?.[1], // latitude is second in GeoJSON
+  shopLongitude: shop.location?.coordinates?.[0], // longitude is first in GeoJSON
+  items: pricing.items,
+  subtotal: pricing.totalAmount,
+  discounts: discount ? [discount] : [],
+  discountAmount: discount ? discount.amount : 0,
+  totalAmount: roundAmount(pricing.totalAmount - (discount ? discount.amount : 0)),
+  pickupPin: pickupPin || Order.generatePickupPin(),
+  paymentMethod,
+  paymentStatus: paymentMethod === 'online' ? 'pending' : 'not_required',
+  notes: notes?.trim() || '',
+  customerName: customerName?.trim() || 'Guest',
+  status: 'Pending',
+  statusHistory: placementHistory(actor),
+  stockStatus: 'reserved',
+  pickupSlot,
+  // A booked slot sets the deadline; otherwise the shop's pickup window does
+  expiresAt: pickupSlot
+    ? slotExpiresAt(shop, pickupSlot)
+    : new Date(Date.now() + (shop.pickupWindowHours || 24) * 60 * 60 * 1000)
+});
+
+// Bump shop/user counters and announce freshly saved orders
+const recordPlacedOrders = async (userId, orders, actor) => {
+  const totalSpent = roundAmount(orders.reduce((sum, order) => sum + order.totalAmount, 0));
+
+  // The orders are already placed: a failed counter update is logged, not reported to the customer
+  try {
+    await Promise.all([
+      ...orders.map(order => Shop.updateOne({ _id: order.shopId }, { $inc: { totalOrders: 1 } })),
+      User.updateOne(
+        { userId },
+        { $inc: { totalOrders: orders.length, totalSpent } },
+        { upsert: true }
+      )
+    ]);
+  } catch (error) {
+    console.error('❌ Failed to update order counters:', { orderIds: orders.map(order => order._id), error: error.message });
+  }
+
+  orders.forEach(order => orderPlaced(order, actor));
+};
+
+/**
+ * Place a single-shop order: price items against the catalogue, apply the
+ * coupon, reserve stock, save the order, bump counters and announce it.
+ *
+ * Throws ServiceError (409 with per-item `details`) when the cart is stale
+ * or out of stock, and with a COUPON_* code when the coupon cannot be used.
+ *
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.shopId
+ * @param {Array} params.items - [{ productId, quantity, price? }]
+ * @param {string} [params.notes]
+ * @param {string} [params.customerName]
+ * @param {string} [params.paymentMethod] - 'pay_at_pickup' (default) or 'online'
+ * @param {{date: string, start: string}} [params.pickupSlot] - one of the shop's pickup slots
+ * @param {string} [params.couponCode] - shop or platform coupon
+ * @param {{type: string, id: string}} params.actor
+ * @returns {Promise<Document>} the saved order
+ */
+const placeOrder = async ({ userId, shopId, items, notes, customerName, paymentMethod, pickupSlot, couponCode, actor }) => {
+  const method = resolvePaymentMethod(paymentMethod);
+  const shop = await loadOrderableShop(shopId);
+
+  // Price the cart against the live catalogue
+  const pricing = await priceOrderItems(shop._id, items);
+
+  if (pricing.errors.length > 0) {
+    throw new ServiceError('Some items in your cart are no longer valid', 409, pricing.errors);
+  }
+
+  const quote = couponCode ? await quoteCoupon({ code: couponCode, shop, userId, pricing }) : null;
+
+  // Reserve stock before the order exists so concurrent orders cannot oversell
+  const reservation = await reserveStock(pricing.items);
+
+  if (!reservation.ok) {
+    throw new ServiceError('Some items are out of stock', 409, reservation.errors);
+  }
+
+  let slot;
+  try {
+    slot = pickupSlot ? await bookPickupSlot(shop, pickupSlot) : undefined;
+  } catch (error) {
+    await restockItems(pricing.items);
+    throw error;
+  }
+
+  const release = () => Promise.all([
+    restockItems(pricing.items),
+    slot && unbookPickupSlot(shop._id, slot)
+  ]);
+
+  // Take the coupon use last: it is the cheapest step to give back
+  if (quote) {
+    try {
+      await claimCoupon(quote.coupon, userId);
+    } catch (error) {
+      await release();
+      throw error;
+    }
+  }
+
+  const order = buildOrder({ shop, pricing, discount: quote?.line, userId, notes, customerName, actor, paymentMethod: method, pickupSlot: slot });
+
+  // The redemption is written first so a placed order always has it (cancelling
+  // releases the coupon through it); both are undone if either write fails
+  try {
+    await recordRedemptions(order);
+    await order.save();
+  } catch (error) {
+    await release();
+    if (quote) {
+      await discardRedemptions(order);
+      await unclaimCoupon(quote.coupon._id, userId);
+    }
+    throw error;
+  }
+
+  console.log('✅ Order created:', order._id);
+
+  await recordPlacedOrders(userId, [order], actor);
+
+  return order;
+};
+
+// Split a mixed item list by the shop that sells each product
+const groupItemsByShop = async (items) => {
+  const errors = [];
+  const validIds = items
+    .map(item => item && item.productId ? item.productId.toString() : '')
+    .filter(id => mongoose.Types.ObjectId.isValid(id));
+
+  const products = await Product.find({ _id: { $in: validIds } }).select('shopId');
+  const shopIdByProduct = new Map(products.map(product => [product._id.toString(), product.shopId.toString()]));
+
+  const groups = new Map();
+  items.forEach((item, index) => {
+    const productId = item && item.productId ? item.productId.toString() : '';
+    const shopId = shopIdByProduct.get(productId);
+
+    if (!shopId) {
+      errors.push({ index, productId, code: 'PRODUCT_NOT_FOUND', message: 'Product no longer exists' });
+      return;
+    }
+
+    if (!groups.has(shopId)) groups.set(shopId, []);
+    groups.get(shopId).push(item);
+  });
+
+  return { groups, errors };
+};
+
+/**
+ * Place a mixed cart as one order per shop, linked by a parent Checkout.
+ *
+ * All or nothing: every shop and item is validated and all stock reserved
+ * before anything is written; if any step fails, reservations and already
+ * inserted orders are rolled back. All orders share one pickup PIN and
+ * payment method (an online checkout is paid with a single payment).
+ * `pickupSlots` optionally books a slot per shop: { [shopId]: { date, start } }.
+ *
+ * @returns {Promise<{checkout: Document, orders: Document[]}>}
+ */
+const placeCheckout = async ({ userId, items, notes, customerName, paymentMethod, pickupSlots = {}, actor }) => {
+  const method = resolvePaymentMethod(paymentMethod);
+
+  if (pickupSlots === null || typeof pickupSlots !== 'object' || Array.isArray(pickupSlots)) {
+    throw new ServiceError('pickupSlots must be an object of { [shopId]: { date, start } }');
+  }
+
+  const { groups, errors } = await groupItemsByShop(items);
+
+  const shops = await Shop.find({
+    _id: { $in: [...groups.keys()].filter(id => mongoose.Types.ObjectId.isValid(id)) }
+  });
+  const shopsById = new Map(shops.map(shop => [shop._id.toString(), shop]));
+
+  // Validate and price every shop's items before touching stock
+  const priced = [];
+  for (const [shopId, shopItems] of groups) {
+    const shop = shopsById.get(shopId);
+    const reason = shopUnavailableReason(shop);
+
+    if (reason) {
+      errors.push({ shopId, code: 'SHOP_UNAVAILABLE', message: reason });
+      continue;
+    }
+
+    const pricing = await priceOrderItems(shop._id, shopItems);
+    errors.push(...pricing.errors.map(error => ({ ...error, shopId })));
+    priced.push({ shop, pricing });
+  }
+
+  if (errors.length > 0) {
+    throw new ServiceError('Some items in your cart are no longer valid', 409, errors);
+  }
+
+  // Reserve stock for every shop; undo all of it if any shop fails
+  const reserved = [];
+  for (const { shop, pricing } of priced) {
+    const reservation = await reserveStock(pricing.items);
+
+    if (!reservation.ok) {
+      errors.push(...reservation.errors.map(error => ({ ...error, shopId: shop._id.toString() })));
+      continue;
+    }
+    reserved.push(pricing.items);
+  }
+
+  const slots = new Map();
+  const releaseAll = () => Promise.all([
+    ...reserved.map(restockItems),
+    ...[...slots].map(([shopId, slot]) => unbookPickupSlot(shopId, slot))
+  ]);
+
+  if (errors.length > 0) {
+    await releaseAll();
+    throw new ServiceError('Some items are out of stock', 409, errors);
+  }
+
+  // Book the requested pickup slots; a full slot fails the whole checkout
+  for (const { shop } of priced) {
+    const shopId = shop._id.toString();
+    if (!pickupSlots[shopId]) continue;
+
+    try {
+      slots.set(shopId, await bookPickupSlot(shop, pickupSlots[shopId]));
+    } catch (error) {
+      if (!(error instanceof ServiceError)) {
+        await releaseAll();
+        throw error;
+      }
+      errors.push(...(error.details || [{ shopId, code: 'INVALID_SLOT', message: error.message }]));
+    }
+  }
+
+  if (errors.length > 0) {
+    await releaseAll();
+    throw new ServiceError('Some pickup slots are not available', 409, errors);
+  }
+
+  const checkoutId = new mongoose.Types.ObjectId();
+  const pickupPin = Order.generatePickupPin();
+
+  const orders = priced.map(({ shop, pricing }) => buildOrder({
+    shop,
+    pricing,
+    userId,
+    notes,
+    customerName,
+    actor,
+    paymentMethod: method,
+    pickupSlot: slots.get(shop._id.toString()),
+    pickupPin,
+    checkoutId
+  }));
+
+  const checkout = new Checkout({
+    _id: checkoutId,
+    userId,
+    orderIds: orders.map(order => order._id),
+    shopCount: orders.length,
+    itemCount: orders.reduce((sum, order) => sum + order.items.reduce((n, item) => n + item.quantity, 0), 0),
+    totalAmount: roundAmount(orders.reduce((sum, order) => sum + order.totalAmount, 0))
+  });
+
+  try {
+    await Order.insertMany(orders);
+    await checkout.save();
+  } catch (error) {
+    await Order.deleteMany({ checkoutId });
+    await releaseAll();
+    throw error;
+  }
+
+  console.log('✅ Checkout created:', checkoutId, { orders: orders.length });
+
+  await recordPlacedOrders(userId, orders, actor);
+
+  return { checkout, orders };
+};
+
+module.exports = {
+  loadOrderableShop,
+  placeOrder,
+  placeCheckout
+};
@@ -0,0 +1,105 @@
+const Order = require('../models/Order');
+const { ROLES } = require('../middleware/auth');
+const { orderEvents } = require('./orderLifecycle');
+
+const HEARTBEAT_MS = 25 * 1000;
+const REPLAY_LIMIT = 100;
+
+const subscribers = new Set();
+
+// Which orders a subscriber may see (Mongo filter)
+const scopeFor = (auth) => {
+  if (auth.role === ROLES.ADMIN) return {};
+  if (auth.role === ROLES.SHOP_OWNER) return { shopId: auth.shopId };
+  return { userId: auth.id };
+};
+
+const matchesScope = (auth, order) => {
+  if (auth.role === ROLES.ADMIN) return true;
+  if (auth.role === ROLES.SHOP_OWNER) return order.shopId.toString() === auth.shopId;
+  return order.userId === auth.id;
+};
+
+// Event ids are the order's updatedAt in ms, which is what a reconnect resumes from
+const eventId = (order) => new Date(order.updatedAt).getTime();
+
+const summarize = (order) => ({
+  orderId: order._id,
+  orderNumber: `ORD${order._id.toString().slice(-8).toUpperCase()}`,
+  shopId: order.shopId,
+  userId: order.userId,
+  customerName: order.customerName,
+  status: order.status,
+  paymentStatus: order.paymentStatus,
+  totalAmount: order.totalAmount,
+  itemCount: order.items.length,
+  expiresAt: order.expiresAt,
+  updatedAt: order.updatedAt
+});
+
+const send = (res, event, id, data) => {
+  res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const broadcast = (event, order, extra = {}) => {
+  for (const subscriber of subscribers) {
+    if (matchesScope(subscriber.auth, order)) {
+      send(subscriber.res, event, eventId(order), { ...summarize(order), ...extra });
+    }
+  }
+};
+
+orderEvents.on('created', ({ order }) => broadcast('order.created', order));
+
+orderEvents.on('status_changed', ({ order, from, to, reason }) => {
+  broadcast('order.status_changed', order, { from, to, reason });
+});
+
+orderEvents.on('payment_updated', ({ order }) => broadcast('order.payment_updated', order));
+
+orderEvents.on('items_adjusted', ({ order, adjustments, amount }) => {
+  broadcast('order.items_adjusted', order, { adjustments, removedAmount: amount });
+});
+
+/**
+ * Attach an SSE response to the order stream.
+ *
+ * When the client reconnects with Last-Event-ID, every order in its scope
+ * that changed since then is replayed as 'order.updated' before live events
+ * resume. State comes from the orders collection, so this also works after a
+ * server restart.
+ */
+const subscribe = async (req, res, lastEventId) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  const subscriber = { auth: req.auth, res };
+  subscribers.add(subscriber);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    subscribers.delete(subscriber);
+  });
+
+  const since = parseInt(lastEventId);
+  if (!Number.isNaN(since)) {
+    // $gte: events within the same millisecond may repeat, clients dedupe by orderId + status
+    const missed = await Order.find({ ...scopeFor(req.auth), updatedAt: { $gte: new Date(since) } })
+      .sort({ updatedAt: 1 })
+      .limit(REPLAY_LIMIT)
+      .lean();
+
+    missed.forEach(order => send(res, 'order.updated', eventId(order), summarize(order)));
+  }
+};
+
+module.exports = {
+  subscribe
+};
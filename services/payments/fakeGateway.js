@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const { hmacHex, signatureMatches } = require('./signature');
+
+// Local gateway for development and tests: no network calls, webhooks are
+// simulated by POSTing a body signed with sign() to /api/payments/webhook/fake:
+//   { "id": "evt_1", "type": "payment.captured", "data": { "gatewayOrderId": "...", "paymentId": "..." } }
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+// No default: without a configured secret no webhook verifies
+const webhookSecret = () => process.env.PAYMENT_WEBHOOK_SECRET;
+
+const EVENT_TYPES = {
+  'payment.authorized': 'authorized',
+  'payment.captured': 'captured',
+  'payment.failed': 'failed',
+  'refund.processed': 'refund_processed',
+  'refund.failed': 'refund_failed'
+};
+
+const createOrder = async ({ amount, currency }) => {
+  const gatewayOrderId = `fake_order_${crypto.randomBytes(8).toString('hex')}`;
+
+  return {
+    gatewayOrderId,
+    clientParams: { gatewayOrderId, amount, currency }
+  };
+};
+
+// Refunds settle immediately
+const refund = async () => ({
+  gatewayRefundId: `fake_refund_${crypto.randomBytes(8).toString('hex')}`,
+  status: 'processed'
+});
+
+const sign = (rawBody) => {
+  if (!webhookSecret()) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET not configured');
+  }
+  return hmacHex(webhookSecret(), rawBody);
+};
+
+const verifyWebhookSignature = (rawBody, headers) => signatureMatches(webhookSecret(), rawBody, headers[SIGNATURE_HEADER]);
+
+const parseWebhook = (body) => ({
+  eventId: body.id,
+  type: EVENT_TYPES[body.type] || null,
+  gatewayOrderId: body.data?.gatewayOrderId,
+  gatewayPaymentId: body.data?.paymentId,
+  gatewayRefundId: body.data?.refundId,
+  failureReason: body.data?.reason
+});
+
+module.exports = {
+  name: 'fake',
+  createOrder,
+  refund,
+  verifyWebhookSignature,
+  parseWebhook,
+  sign
+};
@@ -0,0 +1,64 @@
+const fakeGateway = require('./fakeGateway');
+const razorpayGateway = require('./razorpayGateway');
+const { ServiceError } = require('../errors');
+
+/**
+ * Gateway adapter interface:
+ * - name
+ * - createOrder({ amount, currency, receipt, notes }) → { gatewayOrderId, clientParams }
+ * - refund({ gatewayPaymentId, amount, notes }) → { gatewayRefundId, status: 'pending' | 'processed' }
+ * - verifyWebhookSignature(rawBody, headers) → boolean
+ * - parseWebhook(body, headers) → { eventId, type, gatewayOrderId, gatewayPaymentId, gatewayRefundId, failureReason }
+ *   where type is 'authorized' | 'captured' | 'failed' | 'refund_processed' | 'refund_failed'
+ *   or null for events we ignore
+ */
+// The fake gateway settles anything signed with a shared secret, so it (and
+// its webhook route) does not exist in production
+const GATEWAYS = {
+  ...(process.env.NODE_ENV !== 'production' && { [fakeGateway.name]: fakeGateway }),
+  [razorpayGateway.name]: razorpayGateway
+};
+
+// Why online payments cannot be taken with this configuration (null when they can).
+// Without PAYMENT_GATEWAY the marketplace is pay-at-pickup only.
+const paymentConfigProblem = () => {
+  const name = process.env.PAYMENT_GATEWAY;
+
+  if (!name) return 'PAYMENT_GATEWAY is not set';
+  if (!GATEWAYS[name]) return `PAYMENT_GATEWAY must be one of ${Object.keys(GATEWAYS).join(', ')} (got "${name}")`;
+  if (GATEWAYS[name] === fakeGateway && !process.env.PAYMENT_WEBHOOK_SECRET) {
+    return 'PAYMENT_WEBHOOK_SECRET is required for the fake payment gateway';
+  }
+  return null;
+};
+
+const onlinePaymentsEnabled = () => paymentConfigProblem() === null;
+
+// The gateway named by PAYMENT_GATEWAY; there is no fallback, a typo must not switch gateways
+const getGateway = () => {
+  if (!onlinePaymentsEnabled()) {
+    throw new ServiceError('Online payment is not available, please pay at pickup', 503);
+  }
+
+  return GATEWAYS[process.env.PAYMENT_GATEWAY];
+};
+
+// Logged on startup; a missing or broken gateway only switches online payment off
+const checkPaymentConfig = () => {
+  const problem = paymentConfigProblem();
+
+  if (!process.env.PAYMENT_GATEWAY) {
+    console.log('ℹ️  Online payments disabled (PAYMENT_GATEWAY not set)');
+  } else if (problem) {
+    console.error('❌ Online payments disabled:', problem);
+  } else {
+    console.log('💳 Online payments through', process.env.PAYMENT_GATEWAY);
+  }
+};
+
+module.exports = {
+  GATEWAYS,
+  getGateway,
+  onlinePaymentsEnabled,
+  checkPaymentConfig
+};
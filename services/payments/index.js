@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const Order = require('../../models/Order');
+const Payment = require('../../models/Payment');
+const { canAccessUser } = require('../../middleware/auth');
+const { roundAmount } = require('../pricing');
+const { orderEvents } = require('../orderLifecycle');
+const { ServiceError } = require('../errors');
+const { GATEWAYS, getGateway, checkPaymentConfig } = require('./gateways');
+const { refundOrder, refundDetachedPayment, applyRefundWebhook } = require('./refunds');
+
+const PAYABLE_STATUSES = ['Pending', 'Accepted', 'Ready'];
+
+// Statuses a payment (and its orders) may move from on each webhook outcome.
+// Webhooks can arrive late or out of order; a captured payment is never downgraded.
+const PAYMENT_FROM = {
+  authorized: ['created', 'failed'],
+  captured: ['created', 'authorized', 'failed'],
+  failed: ['created']
+};
+
+const ORDER_FROM = {
+  authorized: ['pending', 'failed'],
+  captured: ['pending', 'authorized', 'failed'],
+  failed: ['pending']
+};
+
+// Why an order cannot be paid online right now (null if it can)
+const unpayableReason = (order) => {
+  if (order.paymentMethod !== 'online') return 'Order is paid at pickup';
+  if (!PAYABLE_STATUSES.includes(order.status)) return `Order is ${order.status.toLowerCase()}`;
+  if (['captured', 'partially_refunded', 'refunded'].includes(order.paymentStatus)) return 'Order is already paid';
+  if (order.paymentStatus === 'authorized') return 'A payment for this order is already being processed';
+  return null;
+};
+
+/**
+ * Start an online payment for one order or for every order of a checkout.
+ *
+ * @param {Object} params
+ * @param {Object} params.auth - req.auth of the paying customer
+ * @param {string} [params.orderId]
+ * @param {string} [params.checkoutId]
+ * @returns {Promise<{payment: Document, clientParams: Object}>}
+ */
+const createPaymentIntent = async ({ auth, orderId, checkoutId }) => {
+  const gateway = getGateway();
+
+  const id = checkoutId || orderId;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ServiceError('A valid orderId or checkoutId is required');
+  }
+
+  const orders = checkoutId
+    ? await Order.find({ checkoutId })
+    : await Order.find({ _id: orderId });
+
+  if (orders.length === 0) {
+    throw new ServiceError(checkoutId ? 'Checkout not found' : 'Order not found', 404);
+  }
+
+  if (!orders.every(order => canAccessUser(auth, order.userId))) {
+    throw new ServiceError('You can only pay for your own orders', 403);
+  }
+
+  const errors = orders
+    .map(order => ({ orderId: order._id, message: unpayableReason(order) }))
+    .filter(error => error.message);
+
+  if (errors.length > 0) {
+    throw new ServiceError(errors[0].message, 409, errors);
+  }
+
+  const amount = roundAmount(orders.reduce((sum, order) => sum + order.totalAmount, 0));
+  const currency = 'INR';
+
+  const { gatewayOrderId, clientParams } = await gateway.createOrder({
+    amount,
+    currency,
+    receipt: id.toString(),
+    notes: { orderIds: orders.map(order => order._id.toString()).join(',') }
+  });
+
+  const payment = await Payment.create({
+    userId: orders[0].userId,
+    orderIds: orders.map(order => order._id),
+    checkoutId: checkoutId || undefined,
+    gateway: gateway.name,
+    gatewayOrderId,
+    amount,
+    currency
+  });
+
+  // The latest attempt is the one webhooks will settle
+  await Order.updateMany(
+    { _id: { $in: payment.orderIds } },
+    { $set: { paymentId: payment._id, paymentStatus: 'pending' } }
+  );
+
+  console.log('💳 Payment intent created:', { paymentId: payment._id, gateway: gateway.name, amount });
+
+  return {
+    payment,
+    clientParams: { gateway: gateway.name, ...clientParams }
+  };
+};
+
+/**
+ * Apply a signed gateway webhook to the matching payment and its orders.
+ *
+ * Retried deliveries are recognised by the gateway's event id and applied only
+ * once. Events for unknown payments are acknowledged and ignored so the
+ * gateway stops retrying them. Money captured for an order that was cancelled
+ * or expired in the meantime is refunded straight away.
+ *
+ * @param {string} gatewayName - from the webhook URL
+ * @param {Buffer} rawBody - exact bytes the signature was computed over
+ * @param {Object} headers
+ * @param {Object} body - parsed JSON body
+ * @returns {Promise<{result: string, payment?: Document}>}
+ */
+const handleWebhook = async (gatewayName, rawBody, headers, body) => {
+  const gateway = GATEWAYS[gatewayName];
+  if (!gateway) {
+    throw new ServiceError('Unknown payment gateway', 404);
+  }
+
+  if (!gateway.verifyWebhookSignature(rawBody, headers)) {
+    throw new ServiceError('Invalid webhook signature', 401);
+  }
+
+  const event = gateway.parseWebhook(body, headers);
+  if (!event.type || !event.eventId) {
+    return { result: 'ignored' };
+  }
+
+  if (event.type === 'refund_processed' || event.type === 'refund_failed') {
+    return applyRefundWebhook(gateway.name, event);
+  }
+
+  const payment = await Payment.findOne({ gateway: gateway.name, gatewayOrderId: event.gatewayOrderId });
+  if (!payment) {
+    console.warn('⚠️  Webhook for unknown payment:', { gateway: gateway.name, gatewayOrderId: event.gatewayOrderId });
+    return { result: 'ignored' };
+  }
+
+  // Record the event first; a duplicate delivery matches nothing here
+  const recorded = await Payment.findOneAndUpdate(
+    { _id: payment._id, 'events.eventId': { $ne: event.eventId } },
+    { $push: { events: { eventId: event.eventId, type: event.type } } }
+  );
+
+  if (!recorded) {
+    return { result: 'duplicate', payment };
+  }
+
+  const now = new Date();
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: PAYMENT_FROM[event.type] } },
+    {
+      $set: {
+        status: event.type,
+        ...(event.gatewayPaymentId && { gatewayPaymentId: event.gatewayPaymentId }),
+        ...(event.type === 'captured' && { capturedAt: now }),
+        ...(event.type === 'failed' && { failureReason: (event.failureReason || 'Payment failed').slice(0, 200) })
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    return { result: 'stale', payment };
+  }
+
+  // Only orders still attached to this payment attempt follow it
+  await Order.updateMany(
+    { paymentId: payment._id, paymentStatus: { $in: ORDER_FROM[event.type] } },
+    { $set: { paymentStatus: event.type, ...(event.type === 'captured' && { paidAt: now }) } }
+  );
+
+  const orders = await Order.find({ paymentId: payment._id });
+  orders.forEach(order => orderEvents.emit('payment_updated', { order, paymentStatus: order.paymentStatus }));
+
+  if (event.type === 'captured') {
+    const unfulfillable = orders.filter(order => order.status === 'Cancelled' || order.status === 'Expired');
+    await Promise.all(unfulfillable.map(order => refundOrder(order, order.totalAmount, {
+      type: 'full',
+      reason: `Paid after the order was ${order.status.toLowerCase()}`
+    })));
+
+    // Orders that moved to a newer payment request did not take this money:
+    // what the attached orders do not account for goes back
+    const detached = await Order.find({ _id: { $in: payment.orderIds }, paymentId: { $ne: payment._id } });
+    if (detached.length > 0) {
+      const applied = orders.reduce((sum, order) => sum + order.totalAmount, 0);
+      await refundDetachedPayment(updated, detached[0], updated.amount - applied, {
+        type: orders.length > 0 ? 'partial' : 'full',
+        reason: 'Paid after the payment request was replaced'
+      });
+    }
+  }
+
+  console.log('💳 Payment updated:', { paymentId: payment._id, status: event.type });
+
+  return { result: 'applied', payment: updated };
+};
+
+module.exports = {
+  GATEWAYS,
+  getGateway,
+  checkPaymentConfig,
+  createPaymentIntent,
+  handleWebhook
+};
@@ -0,0 +1,115 @@
+const { signatureMatches } = require('./signature');
+
+// Razorpay Orders API + webhooks (https://razorpay.com/docs/webhooks/)
+const API_URL = 'https://api.razorpay.com/v1';
+
+const credentials = () => {
+  const { RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET } = process.env;
+
+  if (!RAZORPAY_KEY_ID || !RAZORPAY_KEY_SECRET) {
+    throw new Error('Razorpay credentials not configured (RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET)');
+  }
+
+  return { keyId: RAZORPAY_KEY_ID, keySecret: RAZORPAY_KEY_SECRET };
+};
+
+const EVENT_TYPES = {
+  'payment.authorized': 'authorized',
+  'payment.captured': 'captured',
+  'order.paid': 'captured',
+  'payment.failed': 'failed',
+  'refund.processed': 'refund_processed',
+  'refund.failed': 'refund_failed'
+};
+
+const authHeader = ({ keyId, keySecret }) => `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`;
+
+const createOrder = async ({ amount, currency, receipt, notes }) => {
+  const creds = credentials();
+  const { keyId } = creds;
+
+  const response = await fetch(`${API_URL}/orders`, {
+    method: 'POST',
+    headers: {
+      Authorization: authHeader(creds),
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      amount: Math.round(amount * 100), // Razorpay amounts are in paise
+      currency,
+      receipt,
+      notes
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Razorpay order creation failed with status ${response.status}: ${await response.text()}`);
+  }
+
+  const body = await response.json();
+
+  // Everything the app needs to open Razorpay Checkout
+  return {
+    gatewayOrderId: body.id,
+    clientParams: {
+      key: keyId,
+      order_id: body.id,
+      amount: body.amount,
+      currency: body.currency
+    }
+  };
+};
+
+const refund = async ({ gatewayPaymentId, amount, notes }) => {
+  const response = await fetch(`${API_URL}/payments/${gatewayPaymentId}/refund`, {
+    method: 'POST',
+    headers: {
+      Authorization: authHeader(credentials()),
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      amount: Math.round(amount * 100),
+      notes
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Razorpay refund failed with status ${response.status}: ${await response.text()}`);
+  }
+
+  const body = await response.json();
+
+  // Instant refunds come back 'processed'; normal ones settle later via refund.* webhooks
+  return {
+    gatewayRefundId: body.id,
+    status: body.status === 'processed' ? 'processed' : 'pending'
+  };
+};
+
+const verifyWebhookSignature = (rawBody, headers) => signatureMatches(
+  process.env.RAZORPAY_WEBHOOK_SECRET,
+  rawBody,
+  headers['x-razorpay-signature']
+);
+
+const parseWebhook = (body, headers) => {
+  const payment = body.payload?.payment?.entity || {};
+  const refundEntity = body.payload?.refund?.entity || {};
+
+  return {
+    eventId: headers['x-razorpay-event-id'] || `${body.event}:${refundEntity.id || payment.id}`,
+    type: EVENT_TYPES[body.event] || null,
+    gatewayOrderId: payment.order_id || body.payload?.order?.entity?.id,
+    gatewayPaymentId: payment.id || refundEntity.payment_id,
+    gatewayRefundId: refundEntity.id,
+    failureReason: payment.error_description
+  };
+};
+
+module.exports = {
+  name: 'razorpay',
+  createOrder,
+  refund,
+  verifyWebhookSignature,
+  parseWebhook
+};
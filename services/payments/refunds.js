@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+const Order = require('../../models/Order');
+const Payment = require('../../models/Payment');
+const Refund = require('../../models/Refund');
+const { roundAmount } = require('../pricing');
+const { ServiceError } = require('../errors');
+const { GATEWAYS } = require('./gateways');
+
+// Order payment statuses that still have money to give back
+const REFUNDABLE_STATUSES = ['captured', 'partially_refunded'];
+
+// Undo the claim of a refund the gateway did not carry out: refundedAmount goes
+// back down and the order is refundable again. Refunds of a payment the order
+// no longer uses (refundDetachedPayment) never claimed anything and match nothing.
+const releaseRefundClaim = (refund) => Order.updateOne(
+  { _id: refund.orderId, paymentId: refund.paymentId, paymentStatus: { $in: ['partially_refunded', 'refunded'] } },
+  [
+    { $set: { refundedAmount: { $max: [{ $round: [{ $subtract: ['$refundedAmount', refund.amount] }, 2] }, 0] } } },
+    { $set: { paymentStatus: { $cond: [{ $gt: ['$refundedAmount', 0] }, 'partially_refunded', 'captured'] } } }
+  ]
+);
+
+// Ask the gateway that took the payment to carry out a new Refund and save the outcome
+const sendRefund = async (refund, payment) => {
+  try {
+    if (!payment || !payment.gatewayPaymentId) {
+      throw new Error('No captured gateway payment to refund');
+    }
+
+    const result = await GATEWAYS[payment.gateway].refund({
+      gatewayPaymentId: payment.gatewayPaymentId,
+      amount: refund.amount,
+      notes: { orderId: refund.orderId.toString(), type: refund.type }
+    });
+
+    refund.gatewayRefundId = result.gatewayRefundId;
+    refund.status = result.status;
+    if (result.status === 'processed') refund.processedAt = new Date();
+  } catch (error) {
+    console.error('❌ Refund failed:', { orderId: refund.orderId, amount: refund.amount, error: error.message });
+    refund.status = 'failed';
+    refund.failureReason = error.message.slice(0, 200);
+  }
+
+  await refund.save();
+
+  console.log('💸 Refund recorded:', { orderId: refund.orderId, amount: refund.amount, type: refund.type, status: refund.status });
+
+  return refund;
+};
+
+/**
+ * Refund part or all of a prepaid order through the gateway that took the payment.
+ *
+ * The refund is claimed on the order first (conditional on it still being
+ * refundable), so a cancellation and a late capture webhook can never both
+ * refund the same order. A failed gateway call is recorded on the Refund
+ * rather than thrown, since the order change that caused it has already
+ * happened, and the claim is released so the order does not show money it
+ * never got back. An admin can retry the failed Refund (retryRefund).
+ *
+ * @param {Document} order
+ * @param {number} amount
+ * @param {{type: 'partial'|'full', reason?: string}} options
+ * @returns {Promise<Document|null>} the Refund, or null if nothing was paid online
+ */
+const refundOrder = async (order, amount, { type, reason }) => {
+  const value = roundAmount(amount);
+
+  if (order.paymentMethod !== 'online' || !order.paymentId || value <= 0) {
+    return null;
+  }
+
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, paymentStatus: { $in: REFUNDABLE_STATUSES } },
+    {
+      $inc: { refundedAmount: value },
+      $set: { paymentStatus: type === 'full' ? 'refunded' : 'partially_refunded' }
+    },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return null;
+  }
+
+  const payment = await Payment.findById(claimed.paymentId);
+
+  const refund = await sendRefund(new Refund({
+    orderId: order._id,
+    paymentId: claimed.paymentId,
+    userId: order.userId,
+    shopId: order.shopId,
+    amount: value,
+    type,
+    reason: reason ? reason.trim().slice(0, 200) : undefined,
+    gateway: payment ? payment.gateway : 'unknown'
+  }), payment);
+
+  if (refund.status === 'failed') {
+    await releaseRefundClaim(refund);
+  }
+
+  return refund;
+};
+
+/**
+ * Refund money captured on a payment that the order no longer uses: the
+ * order's payment request was replaced (items removed, or a new payment
+ * started) before this one was captured. The order's own payment status is
+ * left alone; the capture webhook is applied once, so this runs once.
+ *
+ * @param {Document} payment - the captured payment
+ * @param {Document} order - the detached order the Refund is recorded on
+ * @param {number} amount
+ * @param {{type: 'partial'|'full', reason?: string}} options
+ * @returns {Promise<Document|null>} the Refund, or null if there is nothing to give back
+ */
+const refundDetachedPayment = async (payment, order, amount, { type, reason }) => {
+  const value = roundAmount(amount);
+
+  if (value <= 0) {
+    return null;
+  }
+
+  return sendRefund(new Refund({
+    orderId: order._id,
+    paymentId: payment._id,
+    userId: order.userId,
+    shopId: order.shopId,
+    amount: value,
+    type,
+    reason: reason ? reason.trim().slice(0, 200) : undefined,
+    gateway: payment.gateway
+  }), payment);
+};
+
+// refund.processed / refund.failed webhooks for refunds the gateway settles later;
+// refund ids are only unique per gateway, so one gateway cannot settle another's refunds
+const applyRefundWebhook = async (gatewayName, event) => {
+  const processed = event.type === 'refund_processed';
+
+  if (!event.gatewayRefundId) {
+    return { result: 'ignored' };
+  }
+
+  const refund = await Refund.findOneAndUpdate(
+    { gateway: gatewayName, gatewayRefundId: event.gatewayRefundId, status: 'pending' },
+    {
+      $set: processed
+        ? { status: 'processed', processedAt: new Date() }
+        : { status: 'failed', failureReason: (event.failureReason || 'Refund failed').slice(0, 200) }
+    },
+    { new: true }
+  );
+
+  if (refund && !processed) {
+    console.error('❌ Gateway reported a failed refund:', { refundId: refund._id, orderId: refund.orderId });
+    await releaseRefundClaim(refund);
+  }
+
+  return { result: refund ? 'applied' : 'ignored' };
+};
+
+/**
+ * Try a failed refund again (admin). Each failed Refund can be retried once;
+ * the new attempt is a Refund of its own, linked from retriedBy.
+ *
+ * @param {string} refundId
+ * @returns {Promise<Document>} the new Refund
+ */
+const retryRefund = async (refundId) => {
+  const failed = mongoose.Types.ObjectId.isValid(refundId || '')
+    ? await Refund.findOneAndUpdate(
+      { _id: refundId, status: 'failed', retriedAt: null },
+      { $set: { retriedAt: new Date() } },
+      { new: true }
+    )
+    : null;
+
+  if (!failed) {
+    throw new ServiceError('No failed refund to retry', 404);
+  }
+
+  const order = await Order.findById(failed.orderId);
+  const options = { type: failed.type, reason: failed.reason };
+  let refund = null;
+
+  if (order && order.paymentId && order.paymentId.equals(failed.paymentId)) {
+    refund = await refundOrder(order, failed.amount, options);
+  } else if (order) {
+    refund = await refundDetachedPayment(await Payment.findById(failed.paymentId), order, failed.amount, options);
+  }
+
+  if (!refund) {
+    await Refund.updateOne({ _id: failed._id }, { $unset: { retriedAt: 1 } });
+    throw new ServiceError('The order has no captured payment left to refund', 409);
+  }
+
+  await Refund.updateOne({ _id: failed._id }, { $set: { retriedBy: refund._id } });
+
+  return refund;
+};
+
+/**
+ * Give prepaid money back when an order is cancelled or expires.
+ * Items removed earlier were already refunded, so what is left is totalAmount.
+ */
+const registerOrderRefunds = (orderEvents) => {
+  orderEvents.on('status_changed', ({ order, to, reason }) => {
+    if (to !== 'Cancelled' && to !== 'Expired') return;
+
+    refundOrder(order, order.totalAmount, { type: 'full', reason: reason || `Order ${to.toLowerCase()}` })
+      .catch(error => console.error('❌ Error refunding order:', error.message));
+  });
+};
+
+module.exports = {
+  refundOrder,
+  refundDetachedPayment,
+  applyRefundWebhook,
+  retryRefund,
+  registerOrderRefunds
+};
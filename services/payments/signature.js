@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+
+// HMAC-SHA256 (hex) of the raw request body, as Razorpay and most gateways sign webhooks
+const hmacHex = (secret, rawBody) => crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+// Constant-time comparison so the signature cannot be guessed byte by byte
+const signatureMatches = (secret, rawBody, signature) => {
+  if (!secret || !rawBody || typeof signature !== 'string') return false;
+
+  const expected = Buffer.from(hmacHex(secret, rawBody));
+  const received = Buffer.from(signature);
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = {
+  hmacHex,
+  signatureMatches
+};
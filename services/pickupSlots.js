@@ -0,0 +1,195 @@
+const Order = require('../models/Order');
+const PickupSlotBooking = require('../models/PickupSlotBooking');
+const {
+  DEFAULT_TIMEZONE,
+  TIME_PATTERN,
+  localParts,
+  shiftDateKey,
+  weekdayOf,
+  toUtcDate
+} = require('./shopHours');
+const { ServiceError } = require('./errors');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// 'YYYY-MM-DD' naming a real calendar date (not 2024-02-31)
+const isDateKey = (date) => {
+  if (typeof date !== 'string' || !DATE_PATTERN.test(date)) return false;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === date;
+};
+
+// How many days ahead customers can book
+const bookingDays = () => parseInt(process.env.PICKUP_SLOT_BOOKING_DAYS) || 7;
+
+const timezoneOf = (shop) => shop.timezone || DEFAULT_TIMEZONE;
+
+// Slots offered on a local date: the weekly slots, none on a closed holiday
+const slotsForDate = (shop, date) => {
+  const special = (shop.specialHours || []).find(entry => entry.date === date);
+  if (special && special.closed) return [];
+
+  return (shop.pickupSlots || [])
+    .filter(slot => slot.day === weekdayOf(date))
+    .sort((a, b) => a.start.localeCompare(b.start));
+};
+
+// Absolute start/end of a slot; an end at or before the start falls on the next day
+const slotWindow = (shop, date, slot) => {
+  const timezone = timezoneOf(shop);
+  const endDate = slot.end <= slot.start ? shiftDateKey(date, 1) : date;
+
+  return {
+    startsAt: toUtcDate(date, slot.start, timezone),
+    endsAt: toUtcDate(endDate, slot.end, timezone)
+  };
+};
+
+/**
+ * Bookable slots of a shop for the next `days` local dates, with what is left.
+ * Slots that have already ended are left out.
+ */
+const listAvailableSlots = async (shop, { from, days = 2 } = {}, now = new Date()) => {
+  if (from && !isDateKey(from)) {
+    throw new ServiceError('date must be a calendar date (YYYY-MM-DD)');
+  }
+
+  const today = localParts(now, timezoneOf(shop)).dateKey;
+  const start = from && from > today ? from : today;
+  const lastDate = shiftDateKey(today, bookingDays() - 1);
+
+  const candidates = [];
+  for (let offset = 0; offset < days; offset++) {
+    const date = shiftDateKey(start, offset);
+    if (date > lastDate) break;
+
+    for (const slot of slotsForDate(shop, date)) {
+      const window = slotWindow(shop, date, slot);
+      if (window.endsAt > now) {
+        candidates.push({ date, start: slot.start, end: slot.end, capacity: slot.capacity, ...window });
+      }
+    }
+  }
+
+  const bookings = candidates.length > 0
+    ? await PickupSlotBooking.find({
+      shopId: shop._id,
+      date: { $in: [...new Set(candidates.map(slot => slot.date))] }
+    }).lean()
+    : [];
+  const bookedBySlot = new Map(bookings.map(booking => [`${booking.date} ${booking.start}`, booking.booked]));
+
+  return candidates.map(slot => {
+    const booked = bookedBySlot.get(`${slot.date} ${slot.start}`) || 0;
+    return {
+      date: slot.date,
+      start: slot.start,
+      end: slot.end,
+      startsAt: slot.startsAt,
+      endsAt: slot.endsAt,
+      capacity: slot.capacity,
+      booked,
+      available: Math.max(slot.capacity - booked, 0)
+    };
+  });
+};
+
+/**
+ * Take one place in a pickup slot for a new order.
+ *
+ * The increment only matches while the slot has room, so concurrent orders
+ * cannot overbook it.
+ *
+ * @param {Document} shop
+ * @param {{date: string, start: string}} requested
+ * @returns {Promise<Object>} the order's pickupSlot value
+ */
+const bookPickupSlot = async (shop, requested, now = new Date()) => {
+  const date = requested && requested.date;
+  const start = requested && requested.start;
+
+  if (!isDateKey(date) || !TIME_PATTERN.test(start || '')) {
+    throw new ServiceError('pickupSlot must be { date: "YYYY-MM-DD", start: "HH:MM" }');
+  }
+
+  const slot = slotsForDate(shop, date).find(candidate => candidate.start === start);
+  if (!slot) {
+    throw new ServiceError(`${shop.name} has no pickup slot at ${start} on ${date}`);
+  }
+
+  const window = slotWindow(shop, date, slot);
+  const today = localParts(now, timezoneOf(shop)).dateKey;
+
+  if (window.endsAt <= now) {
+    throw new ServiceError('That pickup slot is already over');
+  }
+
+  if (date > shiftDateKey(today, bookingDays() - 1)) {
+    throw new ServiceError(`Pickup slots can be booked up to ${bookingDays()} days ahead`);
+  }
+
+  await PickupSlotBooking.updateOne(
+    { shopId: shop._id, date, start },
+    { $setOnInsert: { booked: 0 } },
+    { upsert: true }
+  );
+
+  const result = await PickupSlotBooking.updateOne(
+    { shopId: shop._id, date, start, booked: { $lt: slot.capacity } },
+    { $inc: { booked: 1 } }
+  );
+
+  if (result.modifiedCount !== 1) {
+    throw new ServiceError(`The ${start} pickup slot on ${date} is full`, 409, [
+      { shopId: shop._id.toString(), code: 'SLOT_FULL', message: `The ${start} pickup slot on ${date} is full` }
+    ]);
+  }
+
+  return {
+    date,
+    start,
+    end: slot.end,
+    ...window,
+    status: 'booked'
+  };
+};
+
+// Give back a place taken by bookPickupSlot (rollbacks before the order exists)
+const unbookPickupSlot = async (shopId, pickupSlot) => {
+  await PickupSlotBooking.updateOne(
+    { shopId, date: pickupSlot.date, start: pickupSlot.start, booked: { $gt: 0 } },
+    { $inc: { booked: -1 } }
+  );
+};
+
+/**
+ * Free the slot of a cancelled/expired order.
+ * The status flip is conditional, so a slot is never released twice.
+ */
+const releasePickupSlot = async (order) => {
+  if (!order.pickupSlot || order.pickupSlot.status !== 'booked') return;
+
+  const result = await Order.updateOne(
+    { _id: order._id, 'pickupSlot.status': 'booked' },
+    { $set: { 'pickupSlot.status': 'released' } }
+  );
+
+  if (result.modifiedCount === 1) {
+    await unbookPickupSlot(order.shopId, order.pickupSlot);
+    order.pickupSlot.status = 'released';
+  }
+};
+
+// Orders with a slot expire a grace period after the slot ends
+const slotExpiresAt = (shop, pickupSlot) => new Date(
+  pickupSlot.endsAt.getTime() + (shop.pickupSlotGraceMinutes ?? 30) * 60 * 1000
+);
+
+module.exports = {
+  isDateKey,
+  listAvailableSlots,
+  bookPickupSlot,
+  unbookPickupSlot,
+  releasePickupSlot,
+  slotExpiresAt
+};
@@ -0,0 +1,59 @@
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+
+const TOKEN_TYPE = 'pickup';
+
+// Pickup tokens share JWT_SECRET with access tokens; the audience keeps the two
+// apart (authenticate refuses tokens with one)
+const AUDIENCE = 'pickup';
+
+// Changes whenever the customer regenerates the PIN, which revokes older tokens
+const pinVersion = (order) => (order.pinRegeneratedAt ? new Date(order.pinRegeneratedAt).getTime() : 0);
+
+/**
+ * Sign a short-lived pickup token for an order. The shop app scans it (as a QR
+ * code) instead of typing the PIN.
+ */
+const signPickupToken = (order) => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT secret not configured on server');
+  }
+
+  return jwt.sign(
+    { typ: TOKEN_TYPE, oid: order._id.toString(), pv: pinVersion(order) },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.PICKUP_TOKEN_TTL || '15m', audience: AUDIENCE }
+  );
+};
+
+/**
+ * Verify a pickup token and return its order id.
+ * Throws when the token is invalid, expired, or was issued before the PIN
+ * was last regenerated (checked by the caller via isCurrentForOrder).
+ */
+const verifyPickupToken = (token) => {
+  const payload = jwt.verify(token, process.env.JWT_SECRET, { audience: AUDIENCE });
+
+  if (payload.typ !== TOKEN_TYPE || !payload.oid) {
+    throw new Error('Not a pickup token');
+  }
+
+  return payload;
+};
+
+const isCurrentForOrder = (payload, order) => payload.pv === pinVersion(order);
+
+// Render a pickup token as a QR image ('png' buffer or 'svg' string)
+const renderPickupQr = async (token, format = 'png') => {
+  if (format === 'svg') {
+    return QRCode.toString(token, { type: 'svg', margin: 1 });
+  }
+  return QRCode.toBuffer(token, { type: 'png', margin: 1, width: 320 });
+};
+
+module.exports = {
+  signPickupToken,
+  verifyPickupToken,
+  isCurrentForOrder,
+  renderPickupQr
+};
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Price a cart against the live catalogue of one shop.
+ *
+ * Client-supplied names, prices and totals are ignored; if the client sent a
+ * price that no longer matches, the item is reported as PRICE_CHANGED so the
+ * app can refresh its cart.
+ *
+ * Products sold in variants need a variantId; the variant's price applies.
+ *
+ * @param {string} shopId
+ * @param {Array<{productId: string, variantId?: string, quantity: number, price?: number}>} requestedItems
+ * @returns {Promise<{items: Array, totalAmount: number, errors: Array}>}
+ */
+const priceOrderItems = async (shopId, requestedItems) => {
+  const errors = [];
+  const quantities = new Map();
+
+  requestedItems.forEach((item, index) => {
+    const productId = item && item.productId ? item.productId.toString() : '';
+    const variantId = item && item.variantId ? item.variantId.toString() : '';
+    const quantity = Number(item && item.quantity !== undefined ? item.quantity : 1);
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      errors.push({ index, productId, code: 'INVALID_PRODUCT', message: 'productId is not valid' });
+      return;
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push({ index, productId, code: 'INVALID_QUANTITY', message: 'quantity must be a whole number of at least 1' });
+      return;
+    }
+
+    // Merge duplicate lines for the same product (and variant)
+    const key = `${productId}:${variantId}`;
+    const existing = quantities.get(key);
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      quantities.set(key, { index, productId, variantId, quantity, clientPrice: item.price });
+    }
+  });
+
+  const productIds = [...new Set([...quantities.values()].map(line => line.productId))];
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  const items = [];
+
+  for (const { index, productId, variantId, quantity, clientPrice } of quantities.values()) {
+    const product = productsById.get(productId);
+
+    if (!product) {
+      errors.push({ index, productId, code: 'PRODUCT_NOT_FOUND', message: 'Product no longer exists' });
+      continue;
+    }
+
+    if (product.shopId.toString() !== shopId.toString()) {
+      errors.push({ index, productId, code: 'WRONG_SHOP', message: `${product.name} is sold by a different shop` });
+      continue;
+    }
+
+    if (!product.isAvailable) {
+      errors.push({ index, productId, code: 'UNAVAILABLE', message: `${product.name} is currently unavailable` });
+      continue;
+    }
+
+    let variant = null;
+    if (product.hasVariants) {
+      if (!variantId) {
+        errors.push({ index, productId, code: 'VARIANT_REQUIRED', message: `Choose an option of ${product.name}` });
+        continue;
+      }
+
+      variant = product.findVariant(variantId);
+
+      if (!variant) {
+        errors.push({ index, productId, variantId, code: 'VARIANT_NOT_FOUND', message: `That option of ${product.name} no longer exists` });
+        continue;
+      }
+
+      if (!variant.isAvailable) {
+        errors.push({ index, productId, variantId, code: 'UNAVAILABLE', message: `${product.name} (${variant.name}) is currently unavailable` });
+        continue;
+      }
+    }
+
+    const price = variant ? variant.price : product.price;
+
+    if (clientPrice !== undefined && Number(clientPrice) !== price) {
+      errors.push({
+        index,
+        productId,
+        ...(variant && { variantId }),
+        code: 'PRICE_CHANGED',
+        message: `Price of ${product.name} has changed`,
+        currentPrice: price
+      });
+      continue;
+    }
+
+    items.push({
+      productId: product._id,
+      productName: product.name,
+      ...(variant && {
+        variantId: variant._id,
+        variantName: variant.name,
+        sku: variant.sku
+      }),
+      price,
+      quantity,
+      productImage: (variant && variant.imageUrls[0]) || product.imageUrl
+    });
+  }
+
+  const totalAmount = roundAmount(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+
+  return { items, totalAmount, errors };
+};
+
+module.exports = {
+  roundAmount,
+  priceOrderItems
+};
@@ -0,0 +1,437 @@
+const Product = require('../models/Product');
+const { parseCsv, toCsv } = require('./csv');
+const { ServiceError } = require('./errors');
+
+// One CSV row per product, or per variant: rows sharing a product name and
+// filling the variant columns are that product's variants
+const PRODUCT_COLUMNS = ['name', 'description', 'category', 'unit', 'price', 'stock', 'isAvailable', 'tags', 'imageUrls'];
+const VARIANT_COLUMNS = ['variantName', 'sku', 'size', 'weight', 'colour', 'variantPrice', 'variantStock', 'variantAvailable', 'variantImageUrls'];
+const CSV_COLUMNS = [...PRODUCT_COLUMNS, ...VARIANT_COLUMNS];
+
+// Separator for lists (tags, image URLs) inside one CSV cell
+const LIST_SEPARATOR = '|';
+
+const maxRows = () => parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS) || 1000;
+
+const nameKey = (name) => name.trim().toLowerCase();
+
+// Parsing helpers: '' / missing means "not given", bad values are reported
+const readText = (value) => {
+  if (value === undefined || value === null) return undefined;
+  const text = String(value).trim();
+  return text === '' ? undefined : text;
+};
+
+const readNumber = (value, field, row, errors) => {
+  if (typeof value === 'number') return value;
+  const text = readText(value);
+  if (text === undefined) return undefined;
+
+  const number = Number(text);
+  if (Number.isNaN(number)) {
+    errors.push({ row, field, code: 'INVALID_NUMBER', message: `${field} must be a number` });
+    return undefined;
+  }
+  return number;
+};
+
+const readBoolean = (value, field, row, errors) => {
+  if (typeof value === 'boolean') return value;
+  const text = readText(value);
+  if (text === undefined) return undefined;
+
+  if (['true', 'yes', '1'].includes(text.toLowerCase())) return true;
+  if (['false', 'no', '0'].includes(text.toLowerCase())) return false;
+
+  errors.push({ row, field, code: 'INVALID_BOOLEAN', message: `${field} must be true or false` });
+  return undefined;
+};
+
+const readList = (value) => {
+  if (Array.isArray(value)) return value.map(readText).filter(Boolean);
+  const text = readText(value);
+  return text === undefined ? undefined : text.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+};
+
+const readVariant = (source, row, errors) => ({
+  row,
+  name: readText(source.name),
+  sku: readText(source.sku),
+  size: readText(source.size),
+  weight: readText(source.weight),
+  colour: readText(source.colour),
+  price: readNumber(source.price, 'variant price', row, errors),
+  stock: readNumber(source.stock, 'variant stock', row, errors),
+  isAvailable: readBoolean(source.isAvailable, 'variant isAvailable', row, errors),
+  imageUrls: readList(source.imageUrls)
+});
+
+const readProduct = (source, row, errors) => ({
+  row,
+  name: readText(source.name),
+  description: readText(source.description),
+  category: readText(source.category),
+  unit: readText(source.unit),
+  price: readNumber(source.price, 'price', row, errors),
+  stock: readNumber(source.stock, 'stock', row, errors),
+  isAvailable: readBoolean(source.isAvailable, 'isAvailable', row, errors),
+  tags: readList(source.tags),
+  imageUrls: readList(source.imageUrls),
+  variants: []
+});
+
+/**
+ * Turn CSV text into product records; variant rows are grouped under the
+ * product of the same name. Row numbers count the header as row 1.
+ */
+const recordsFromCsv = (text, errors) => {
+  let rows;
+  try {
+    rows = parseCsv(text);
+  } catch (error) {
+    throw new ServiceError(error.message);
+  }
+
+  if (rows.length < 2) {
+    throw new ServiceError('CSV needs a header row and at least one product row');
+  }
+
+  // Header names are matched case-insensitively
+  const known = new Map(CSV_COLUMNS.map(column => [column.toLowerCase(), column]));
+  const header = rows[0].map(cell => known.get(cell.trim().toLowerCase()));
+
+  if (!header.includes('name')) {
+    throw new ServiceError(`CSV header must include a name column (columns: ${CSV_COLUMNS.join(', ')})`);
+  }
+
+  const records = [];
+  const byName = new Map();
+
+  rows.slice(1).forEach((cells, index) => {
+    const row = index + 2;
+    const values = {};
+    header.forEach((column, position) => {
+      if (column) values[column] = cells[position];
+    });
+
+    const isVariantRow = VARIANT_COLUMNS.some(column => readText(values[column]) !== undefined);
+    const product = readProduct(values, row, errors);
+    const key = product.name ? nameKey(product.name) : null;
+    const existing = key && byName.get(key);
+
+    if (isVariantRow) {
+      const variant = readVariant({
+        name: values.variantName,
+        sku: values.sku,
+        size: values.size,
+        weight: values.weight,
+        colour: values.colour,
+        price: values.variantPrice,
+        stock: values.variantStock,
+        isAvailable: values.variantAvailable,
+        imageUrls: values.variantImageUrls
+      }, row, errors);
+
+      if (existing && existing.variants.length > 0) {
+        // Later rows of the same product may leave the product columns empty
+        Object.keys(product).forEach(field => {
+          if (existing[field] === undefined) existing[field] = product[field];
+        });
+        existing.variants.push(variant);
+        return;
+      }
+
+      product.variants.push(variant);
+    }
+
+    records.push(product);
+    if (key && !existing) byName.set(key, product);
+  });
+
+  return records;
+};
+
+// JSON is the shape of POST /api/products, as an array or { products: [...] }
+const recordsFromJson = (body, errors) => {
+  const items = Array.isArray(body) ? body : body && body.products;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ServiceError('JSON import needs a non-empty products array');
+  }
+
+  return items.map((item, index) => {
+    const row = index + 1;
+    const source = item && typeof item === 'object' ? item : {};
+    const product = readProduct(source, row, errors);
+
+    if (source.variants !== undefined && !Array.isArray(source.variants)) {
+      errors.push({ row, field: 'variants', code: 'INVALID_VARIANTS', message: 'variants must be an array' });
+    } else {
+      product.variants = (source.variants || []).map(variant => readVariant(variant || {}, row, errors));
+    }
+
+    return product;
+  });
+};
+
+/**
+ * Read an import payload into product records.
+ * @param {'csv'|'json'} format
+ * @param {string|Object|Array} payload - CSV text, or the parsed JSON body
+ * @returns {{records: Object[], errors: Object[]}}
+ */
+const parseImport = (format, payload) => {
+  const errors = [];
+  let records;
+
+  if (format === 'csv') {
+    if (typeof payload !== 'string' || payload.trim() === '') {
+      throw new ServiceError('CSV import needs a non-empty body or file');
+    }
+    records = recordsFromCsv(payload, errors);
+  } else if (format === 'json') {
+    let body = payload;
+    if (typeof payload === 'string') {
+      try {
+        body = JSON.parse(payload);
+      } catch (error) {
+        throw new ServiceError('Import file is not valid JSON');
+      }
+    }
+    records = recordsFromJson(body, errors);
+  } else {
+    throw new ServiceError('format must be csv or json');
+  }
+
+  if (records.length > maxRows()) {
+    throw new ServiceError(`At most ${maxRows()} products can be imported at once`);
+  }
+
+  return { records, errors };
+};
+
+// Only fields present in the import are written, so an update keeps the rest
+const definedFields = (record, fields) => Object.fromEntries(
+  fields.filter(field => record[field] !== undefined).map(field => [field, record[field]])
+);
+
+const PRODUCT_FIELDS = ['name', 'description', 'category', 'unit', 'price', 'stock', 'isAvailable', 'tags', 'imageUrls'];
+const VARIANT_FIELDS = ['name', 'sku', 'size', 'weight', 'colour', 'price', 'stock', 'isAvailable', 'imageUrls'];
+
+// Schema validation errors as report entries
+const validationErrors = (error, row) => {
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map(fieldError => ({
+      row,
+      field: fieldError.path,
+      code: 'INVALID_FIELD',
+      message: fieldError.message
+    }));
+  }
+  return [{ row, code: 'INVALID_PRODUCT', message: error.message }];
+};
+
+/**
+ * Validate product records against a shop's catalogue and, unless this is a
+ * dry run, create or update them.
+ *
+ * Products are matched to the catalogue by name (case-insensitive), variants
+ * of a matched product by SKU, then by name; unmatched ones are created and
+ * nothing is deleted. Names and SKUs must be unique in the file and a SKU
+ * cannot belong to another product of the shop. Nothing is saved when any
+ * row has an error; otherwise all changes are written in a single bulk write.
+ *
+ * @param {Document} shop
+ * @param {{records: Object[], errors: Object[]}} parsed - from parseImport
+ * @param {{dryRun?: boolean}} options
+ * @returns {Promise<Object>} report: { dryRun, total, created, updated, unchanged, errors, results }
+ */
+const importProducts = async (shop, { records, errors: parseErrors }, { dryRun = false } = {}) => {
+  const shopId = shop._id.toString();
+  const errors = [...parseErrors];
+
+  const catalogue = await Product.find({ shopId });
+  const productsByName = new Map(catalogue.map(product => [nameKey(product.name), product]));
+  const skuOwners = new Map();
+  catalogue.forEach(product => product.variants.forEach(variant => {
+    if (variant.sku) skuOwners.set(variant.sku, product._id.toString());
+  }));
+
+  // Duplicates inside the file
+  const seenNames = new Map();
+  const seenSkus = new Map();
+  const duplicates = new Set();
+  records.forEach(record => {
+    if (!record.name) return;
+    const key = nameKey(record.name);
+    if (seenNames.has(key)) {
+      errors.push({ row: record.row, field: 'name', code: 'DUPLICATE_NAME', message: `${record.name} is already listed in row ${seenNames.get(key)}` });
+      duplicates.add(record);
+    } else {
+      seenNames.set(key, record.row);
+    }
+
+    record.variants.forEach(variant => {
+      if (!variant.sku) return;
+      if (seenSkus.has(variant.sku)) {
+        errors.push({ row: variant.row, field: 'sku', code: 'DUPLICATE_SKU', message: `SKU ${variant.sku} is already listed in row ${seenSkus.get(variant.sku)}` });
+      } else {
+        seenSkus.set(variant.sku, variant.row);
+      }
+    });
+  });
+
+  const planned = [];
+
+  for (const record of records) {
+    if (!record.name) {
+      errors.push({ row: record.row, field: 'name', code: 'MISSING_NAME', message: 'name is required' });
+      continue;
+    }
+    if (duplicates.has(record)) continue;
+
+    const existing = productsByName.get(nameKey(record.name));
+    const product = existing || new Product({ shopId, shopName: shop.name });
+
+    product.set(definedFields(record, PRODUCT_FIELDS));
+
+    for (const entry of record.variants) {
+      const owner = entry.sku && skuOwners.get(entry.sku);
+      if (owner && (!existing || owner !== existing._id.toString())) {
+        errors.push({ row: entry.row, field: 'sku', code: 'SKU_CONFLICT', message: `SKU ${entry.sku} belongs to another product of this shop` });
+        continue;
+      }
+
+      const variant = product.variants.find(candidate => (entry.sku
+        ? candidate.sku === entry.sku
+        : !candidate.sku && entry.name && nameKey(candidate.name) === nameKey(entry.name)));
+
+      if (variant) {
+        variant.set(definedFields(entry, VARIANT_FIELDS));
+      } else {
+        product.variants.push(definedFields(entry, VARIANT_FIELDS));
+      }
+    }
+
+    try {
+      await product.validate();
+    } catch (error) {
+      // A value that could not be read already has its own error
+      const reported = new Set(errors.filter(entry => entry.row === record.row).map(entry => entry.field));
+      errors.push(...validationErrors(error, record.row).filter(entry => !reported.has(entry.field)));
+      continue;
+    }
+
+    const action = !existing ? 'create' : (product.isModified() ? 'update' : 'unchanged');
+    planned.push({ record, product, action });
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+
+  const report = {
+    dryRun,
+    total: records.length,
+    created: planned.filter(entry => entry.action === 'create').length,
+    updated: planned.filter(entry => entry.action === 'update').length,
+    unchanged: planned.filter(entry => entry.action === 'unchanged').length,
+    errors,
+    results: planned.map(({ record, product, action }) => ({
+      row: record.row,
+      name: product.name,
+      action,
+      productId: action === 'create' ? undefined : product._id
+    }))
+  };
+
+  if (dryRun || errors.length > 0) {
+    return report;
+  }
+
+  // Every row is validated above; the changes go to the database in one bulk write
+  const changed = planned.filter(entry => entry.action !== 'unchanged').map(entry => entry.product);
+  if (changed.length > 0) {
+    await Product.bulkSave(changed);
+  }
+
+  report.results = planned.map(({ record, product, action }) => ({
+    row: record.row,
+    name: product.name,
+    action,
+    productId: product._id
+  }));
+
+  console.log('📦 Products imported:', { shopId, created: report.created, updated: report.updated });
+
+  return report;
+};
+
+/**
+ * A shop's catalogue in the import format, so an export can be edited and
+ * imported back.
+ * @param {string} shopId
+ * @param {'csv'|'json'} format
+ * @returns {Promise<string|Object[]>} CSV text, or product records for JSON
+ */
+const exportProducts = async (shopId, format) => {
+  const products = await Product.find({ shopId })
+    .select('name description category unit price stock isAvailable tags imageUrls variants')
+    .sort({ name: 1 })
+    .lean();
+
+  const records = products.map(product => ({
+    name: product.name,
+    description: product.description,
+    category: product.category,
+    unit: product.unit,
+    price: product.price,
+    stock: product.stock,
+    isAvailable: product.isAvailable,
+    tags: product.tags || [],
+    imageUrls: product.imageUrls || [],
+    variants: (product.variants || []).map(variant => ({
+      name: variant.name,
+      sku: variant.sku,
+      size: variant.size,
+      weight: variant.weight,
+      colour: variant.colour,
+      price: variant.price,
+      stock: variant.stock,
+      isAvailable: variant.isAvailable,
+      imageUrls: variant.imageUrls || []
+    }))
+  }));
+
+  if (format === 'json') return records;
+
+  const rows = records.flatMap(({ variants, ...product }) => {
+    const productRow = {
+      ...product,
+      tags: product.tags.join(LIST_SEPARATOR),
+      imageUrls: product.imageUrls.join(LIST_SEPARATOR)
+    };
+
+    if (variants.length === 0) return [productRow];
+
+    return variants.map(variant => ({
+      ...productRow,
+      variantName: variant.name,
+      sku: variant.sku,
+      size: variant.size,
+      weight: variant.weight,
+      colour: variant.colour,
+      variantPrice: variant.price,
+      variantStock: variant.stock,
+      variantAvailable: variant.isAvailable,
+      variantImageUrls: variant.imageUrls.join(LIST_SEPARATOR)
+    }));
+  });
+
+  return toCsv(rows, CSV_COLUMNS);
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  parseImport,
+  importProducts,
+  exportProducts
+};
@@ -0,0 +1,446 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Shop = require('../models/Shop');
+const { isShopOpenNow } = require('./shopHours');
+const { ServiceError } = require('./errors');
+
+const SORTS = ['relevance', 'price_asc', 'price_desc', 'distance', 'newest'];
+
+// How many products a text search ranks at most (matches beyond it are not seen)
+const candidateLimit = () => parseInt(process.env.SEARCH_CANDIDATE_LIMIT) || 500;
+
+// Where a term can match and how much a match there is worth
+const FIELD_WEIGHTS = {
+  name: 3,
+  tags: 2,
+  variants: 1.5,
+  category: 1.5,
+  description: 1
+};
+
+// Exact word > word starting with the term > word within the typo allowance
+const MATCH_QUALITY = { exact: 1, prefix: 0.8, typo: 0.6 };
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lowercase words without accents, so "Café" matches "cafe"
+const tokenize = (text) => (text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean);
+
+// Edits a term of this length may be away from a word and still match
+const allowedTypos = (term) => (term.length < 4 ? 0 : term.length < 8 ? 1 : 2);
+
+/**
+ * Optimal string alignment distance (insert, delete, substitute and swap
+ * adjacent letters), giving up once it exceeds `max`.
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+const matchQuality = (term, words) => {
+  let best = 0;
+  const typos = allowedTypos(term);
+
+  for (const word of words) {
+    if (word === term) return MATCH_QUALITY.exact;
+    if (word.startsWith(term)) best = Math.max(best, MATCH_QUALITY.prefix);
+    else if (typos > 0 && best < MATCH_QUALITY.typo && editDistance(term, word, typos) <= typos) best = MATCH_QUALITY.typo;
+  }
+
+  return best;
+};
+
+const searchableWords = (product) => ({
+  name: tokenize(product.name),
+  tags: tokenize((product.tags || []).join(' ')),
+  variants: tokenize((product.variants || []).map(variant => `${variant.name} ${variant.sku || ''}`).join(' ')),
+  category: tokenize(product.category),
+  description: tokenize(product.description)
+});
+
+/**
+ * Relevance of a product for the query terms: each term counts its best
+ * weighted match, scaled by the share of terms that matched at all, with a
+ * bonus when the name starts with the whole query. 0 means no match.
+ */
+const scoreProduct = (product, terms) => {
+  const words = searchableWords(product);
+  let total = 0;
+  let matched = 0;
+
+  for (const term of terms) {
+    let best = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      // Descriptions are long and loose, so only exact/prefix matches count there
+      const quality = field === 'description'
+        ? (words.description.some(word => word.startsWith(term)) ? MATCH_QUALITY.prefix : 0)
+        : matchQuality(term, words[field]);
+      best = Math.max(best, quality * weight);
+    }
+    if (best > 0) matched++;
+    total += best;
+  }
+
+  if (matched === 0) return 0;
+
+  const phraseBonus = tokenize(product.name).join(' ').startsWith(terms.join(' ')) ? 2 : 0;
+  return Math.round((total * (matched / terms.length) + phraseBonus) * 100) / 100;
+};
+
+/**
+ * Mongo conditions that fetch every product a term could match: words
+ * starting with the term's first two letters (typos are tolerated after
+ * those) in the short fields, and the whole term in descriptions.
+ */
+const candidateConditions = (terms) => terms.flatMap(term => {
+  const start = new RegExp(`\\b${escapeRegex(term.slice(0, 2))}`, 'i');
+  return [
+    { name: start },
+    { tags: start },
+    { category: start },
+    { 'variants.name': start },
+    { 'variants.sku': start },
+    { description: new RegExp(`\\b${escapeRegex(term)}`, 'i') }
+  ];
+});
+
+const listParam = (value) => (value === undefined || value === ''
+  ? []
+  : String(value).split(',').map(item => item.trim()).filter(Boolean));
+
+const numberParam = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (Number.isNaN(number) || number < 0) {
+    throw new ServiceError(`${name} must be a non-negative number`);
+  }
+  return number;
+};
+
+const coordinateParam = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+/**
+ * Read and check the query string of GET /api/products/search.
+ * @returns {Object} normalized search options
+ */
+const parseSearchParams = (params) => {
+  const q = (params.q || '').trim();
+  if (q.length > 100) {
+    throw new ServiceError('q can be at most 100 characters');
+  }
+
+  const sort = params.sort || (q ? 'relevance' : 'newest');
+  if (!SORTS.includes(sort)) {
+    throw new ServiceError(`sort must be one of ${SORTS.join(', ')}`);
+  }
+
+  const latitude = coordinateParam(params.latitude);
+  const longitude = coordinateParam(params.longitude);
+  const hasLocation = latitude !== undefined && longitude !== undefined;
+
+  if (hasLocation && !(latitude >= -90 && latitude <= 90 && longitude >= -180 && longitude <= 180)) {
+    throw new ServiceError('Invalid coordinates');
+  }
+  if (sort === 'distance' && !hasLocation) {
+    throw new ServiceError('sort=distance needs latitude and longitude');
+  }
+  if (params.openNow !== undefined && !hasLocation) {
+    throw new ServiceError('openNow needs latitude and longitude');
+  }
+
+  const minPrice = numberParam(params.minPrice, 'minPrice');
+  const maxPrice = numberParam(params.maxPrice, 'maxPrice');
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    throw new ServiceError('minPrice cannot be more than maxPrice');
+  }
+
+  const radius = numberParam(params.radius, 'radius');
+
+  return {
+    q,
+    terms: [...new Set(tokenize(q))],
+    sort,
+    categories: listParam(params.category),
+    shopIds: listParam(params.shopId),
+    units: listParam(params.unit),
+    tags: listParam(params.tags),
+    minPrice,
+    maxPrice,
+    isAvailable: params.isAvailable === undefined ? undefined : params.isAvailable === 'true',
+    inStock: params.inStock === 'true',
+    openNow: params.openNow === undefined ? undefined : String(params.openNow) === 'true',
+    location: hasLocation ? { latitude, longitude, radius: Math.min(radius || 10, 50) } : null,
+    page: Math.max(parseInt(params.page) || 1, 1),
+    limit: Math.min(Math.max(parseInt(params.limit) || 20, 1), 50)
+  };
+};
+
+// Nearby active shops, closest first, with their distance in km
+// (only those open, or closed, right now when openNow is given)
+const shopsNear = async ({ latitude, longitude, radius }, openNow) => {
+  const shops = await Shop.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [longitude, latitude] },
+        distanceField: 'distance',
+        distanceMultiplier: 0.001,
+        maxDistance: radius * 1000,
+        spherical: true,
+        query: { isActive: true, isApproved: true }
+      }
+    },
+    {
+      $project: {
+        isOpen: 1,
+        timezone: 1,
+        openingHours: 1,
+        specialHours: 1,
+        distance: { $round: ['$distance', 2] }
+      }
+    },
+    { $sort: { distance: 1 } }
+  ]);
+
+  return new Map(shops
+    .filter(shop => openNow === undefined || isShopOpenNow(shop) === openNow)
+    .map(shop => [shop._id.toString(), shop.distance]));
+};
+
+// Shops that can take orders: active and approved
+const orderableShopIds = async () => (await Shop.distinct('_id', { isActive: true, isApproved: true }))
+  .map(id => id.toString());
+
+// Filters every result must pass; category and shop are applied separately so
+// their facets can still show the other options. Only products of shops that
+// can take orders are ever searched.
+const baseFilter = (options, searchableShopIds) => {
+  const filter = { shopId: { $in: searchableShopIds } };
+
+  if (options.units.length > 0) filter.unit = { $in: options.units };
+  if (options.tags.length > 0) filter.tags = { $all: options.tags };
+  if (options.isAvailable !== undefined) filter.isAvailable = options.isAvailable;
+  if (options.inStock) filter.stock = { $gt: 0 };
+
+  if (options.minPrice !== undefined || options.maxPrice !== undefined) {
+    const range = {
+      ...(options.minPrice !== undefined && { $gte: options.minPrice }),
+      ...(options.maxPrice !== undefined && { $lte: options.maxPrice })
+    };
+    // A product with variants matches when any variant is in range
+    filter.$or = [
+      { 'variants.0': { $exists: false }, price: range },
+      { variants: { $elemMatch: { price: range } } }
+    ];
+  }
+
+  return filter;
+};
+
+const categoryFilter = (options) => (options.categories.length > 0 ? { category: { $in: options.categories } } : {});
+const shopFilter = (options) => (options.shopIds.length > 0 ? { shopId: { $in: options.shopIds } } : {});
+
+const inCategories = (options, product) => options.categories.length === 0 || options.categories.includes(product.category);
+const inShops = (options, product) => options.shopIds.length === 0 || options.shopIds.includes(product.shopId);
+
+const countBy = (products, key) => {
+  const counts = new Map();
+  products.forEach(product => counts.set(product[key], (counts.get(product[key]) || 0) + 1));
+  return [...counts.entries()]
+    .map(([value, count]) => ({ _id: value, count }))
+    .sort((a, b) => b.count - a.count || String(a._id).localeCompare(String(b._id)));
+};
+
+const compareBy = {
+  relevance: (a, b) => b.score - a.score || b.createdAt - a.createdAt,
+  price_asc: (a, b) => a.price - b.price || b.score - a.score,
+  price_desc: (a, b) => b.price - a.price || b.score - a.score,
+  newest: (a, b) => b.createdAt - a.createdAt
+};
+
+// Text search: fetch the candidates, then rank, facet, sort and page in memory
+const searchByText = async (options, filter, distanceRank) => {
+  const candidates = await Product.find({ $and: [filter, { $or: candidateConditions(options.terms) }] })
+    .sort({ createdAt: -1 })
+    .limit(candidateLimit())
+    .select('-__v')
+    .lean();
+
+  const matches = candidates
+    .map(product => ({ ...product, score: scoreProduct(product, options.terms) }))
+    .filter(product => product.score > 0);
+
+  const results = matches.filter(product => inCategories(options, product) && inShops(options, product));
+
+  const compare = options.sort === 'distance'
+    ? (a, b) => distanceRank(a) - distanceRank(b) || b.score - a.score
+    : compareBy[options.sort];
+  results.sort(compare);
+
+  const skip = (options.page - 1) * options.limit;
+
+  return {
+    products: results.slice(skip, skip + options.limit),
+    total: results.length,
+    categories: countBy(matches.filter(product => inShops(options, product)), 'category'),
+    shops: countBy(matches.filter(product => inCategories(options, product)), 'shopId'),
+    truncated: candidates.length === candidateLimit()
+  };
+};
+
+// No text: filter, sort, page and facet in one aggregation
+const searchByFilters = async (options, filter, orderedShopIds) => {
+  const sortStages = {
+    price_asc: [{ $sort: { price: 1, _id: 1 } }],
+    price_desc: [{ $sort: { price: -1, _id: 1 } }],
+    newest: [{ $sort: { createdAt: -1, _id: 1 } }],
+    relevance: [{ $sort: { createdAt: -1, _id: 1 } }],
+    distance: [
+      { $addFields: { shopRank: { $indexOfArray: [orderedShopIds || [], '$shopId'] } } },
+      { $sort: { shopRank: 1, createdAt: -1, _id: 1 } },
+      { $project: { shopRank: 0 } }
+    ]
+  };
+
+  const narrowed = { ...categoryFilter(options), ...shopFilter(options) };
+
+  const [result] = await Product.aggregate([
+    { $match: filter },
+    {
+      $facet: {
+        products: [
+          { $match: narrowed },
+          ...sortStages[options.sort],
+          { $skip: (options.page - 1) * options.limit },
+          { $limit: options.limit },
+          { $project: { __v: 0 } }
+        ],
+        total: [{ $match: narrowed }, { $count: 'count' }],
+        categories: [
+          { $match: shopFilter(options) },
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        shops: [
+          { $match: categoryFilter(options) },
+          { $group: { _id: '$shopId', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    products: result.products,
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    categories: result.categories,
+    shops: result.shops,
+    truncated: false
+  };
+};
+
+/**
+ * Search the catalogue.
+ *
+ * With `q`, products are ranked by relevance: words in the name, tags,
+ * variants and category match exactly, by prefix or with a typo or two, and
+ * descriptions by prefix. Filters narrow the results; the category and shop
+ * facets count matches ignoring their own filter, so the app can show the
+ * other options. With a location only shops within `radius` km are searched
+ * (optionally only those open now) and each product carries its shop's distance.
+ *
+ * @param {Object} params - query string of GET /api/products/search
+ * @returns {Promise<{products: Array, facets: Object, pagination: Object}>}
+ */
+const searchProducts = async (params) => {
+  const options = parseSearchParams(params);
+
+  const distances = options.location ? await shopsNear(options.location, options.openNow) : null;
+  const orderedShopIds = distances ? [...distances.keys()] : null;
+  const filter = baseFilter(options, orderedShopIds || await orderableShopIds());
+  const distanceRank = (product) => {
+    const rank = orderedShopIds.indexOf(product.shopId);
+    return rank === -1 ? Infinity : rank;
+  };
+
+  const found = options.terms.length > 0
+    ? await searchByText(options, filter, distanceRank)
+    : await searchByFilters(options, filter, orderedShopIds);
+
+  // Shop names and open state for the results and the shop facet
+  const shopIds = [...new Set([
+    ...found.products.map(product => product.shopId),
+    ...found.shops.map(shop => shop._id)
+  ])].filter(id => mongoose.Types.ObjectId.isValid(id));
+  const shops = await Shop.find({ _id: { $in: shopIds } })
+    .select('name address isOpen timezone openingHours specialHours')
+    .lean();
+  const shopsById = new Map(shops.map(shop => [shop._id.toString(), shop]));
+
+  const products = found.products.map(({ variants, ...product }) => {
+    const shop = shopsById.get(product.shopId);
+    return {
+      ...product,
+      variantSummary: Product.variantSummary({ variants }),
+      shop: shop ? { _id: shop._id, name: shop.name, address: shop.address, isOpenNow: isShopOpenNow(shop) } : null,
+      ...(distances && { distance: distances.get(product.shopId) })
+    };
+  });
+
+  return {
+    products,
+    facets: {
+      categories: found.categories.map(({ _id, count }) => ({ category: _id, count })),
+      shops: found.shops.map(({ _id, count }) => ({
+        shopId: _id,
+        name: shopsById.has(_id) ? shopsById.get(_id).name : null,
+        count
+      }))
+    },
+    pagination: {
+      page: options.page,
+      limit: options.limit,
+      total: found.total,
+      pages: Math.ceil(found.total / options.limit),
+      ...(found.truncated && { truncated: true })
+    }
+  };
+};
+
+module.exports = {
+  SORTS,
+  tokenize,
+  editDistance,
+  scoreProduct,
+  searchProducts
+};
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { canAccessUser } = require('../middleware/auth');
+const { priceOrderItems } = require('./pricing');
+const { placeOrder } = require('./orderPlacement');
+const { buildCartView } = require('./cartView');
+const { ServiceError } = require('./errors');
+
+const REORDER_TARGETS = ['cart', 'order'];
+
+const lineKey = (productId, variantId) => `${productId}:${variantId || ''}`;
+
+/**
+ * Re-price the items of a past order against today's catalogue.
+ *
+ * Items that can no longer be bought are returned in `unavailable` with the
+ * pricing/stock error code. Items with less stock than before are kept with
+ * the quantity that is left (`requestedQuantity` says what was ordered), and
+ * `previousPrice` lets the app show what changed.
+ *
+ * @param {Document} order
+ * @returns {Promise<{items: Array, unavailable: Array}>}
+ */
+const repriceOrder = async (order) => {
+  const lines = order.items.map(item => ({
+    productId: item.productId,
+    variantId: item.variantId,
+    quantity: item.quantity
+  }));
+
+  const pricing = await priceOrderItems(order.shopId, lines);
+
+  const unavailable = pricing.errors.map(error => {
+    const item = order.items[error.index];
+    return {
+      productId: item.productId,
+      variantId: item.variantId,
+      productName: item.productName,
+      variantName: item.variantName,
+      quantity: item.quantity,
+      code: error.code,
+      message: error.message
+    };
+  });
+
+  const products = await Product.find({ _id: { $in: pricing.items.map(item => item.productId) } }).select('stock variants');
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+  const previous = new Map(order.items.map(item => [lineKey(item.productId, item.variantId), item]));
+
+  const items = [];
+
+  for (const item of pricing.items) {
+    const product = productsById.get(item.productId.toString());
+    const variant = item.variantId ? product.findVariant(item.variantId) : null;
+    const stock = variant ? variant.stock : product.stock;
+    const before = previous.get(lineKey(item.productId, item.variantId));
+
+    if (stock <= 0) {
+      unavailable.push({
+        productId: item.productId,
+        variantId: item.variantId,
+        productName: item.productName,
+        variantName: item.variantName,
+        quantity: item.quantity,
+        code: 'OUT_OF_STOCK',
+        message: `${item.productName} is out of stock`
+      });
+      continue;
+    }
+
+    items.push({
+      ...item,
+      quantity: Math.min(item.quantity, stock),
+      ...(stock < item.quantity && { requestedQuantity: item.quantity }),
+      previousPrice: before ? before.price : undefined,
+      priceChanged: !!before && before.price !== item.price
+    });
+  }
+
+  return { items, unavailable };
+};
+
+/**
+ * Buy the items of a past order again, either into the cart (added to what
+ * is already there) or as a new order at today's prices. Items that are no
+ * longer available are left out and reported.
+ *
+ * @param {Object} auth - req.auth of the customer
+ * @param {string} orderId
+ * @param {Object} options
+ * @param {'cart'|'order'} [options.target] - default 'cart'
+ * @param {string} [options.paymentMethod] - for target 'order'
+ * @param {{date: string, start: string}} [options.pickupSlot] - for target 'order'
+ * @param {string} [options.notes] - for target 'order'
+ * @param {{type: string, id: string}} options.actor
+ * @returns {Promise<{target: string, cart?: Object, order?: Document, items: Array, unavailable: Array}>}
+ */
+const reorder = async (auth, orderId, { target = 'cart', paymentMethod, pickupSlot, notes, actor }) => {
+  if (!REORDER_TARGETS.includes(target)) {
+    throw new ServiceError(`target must be one of ${REORDER_TARGETS.join(', ')}`);
+  }
+
+  const order = mongoose.Types.ObjectId.isValid(orderId || '') ? await Order.findById(orderId) : null;
+  if (!order) {
+    throw new ServiceError('Order not found', 404);
+  }
+  if (!canAccessUser(auth, order.userId)) {
+    throw new ServiceError('You can only reorder your own orders', 403);
+  }
+
+  const { items, unavailable } = await repriceOrder(order);
+
+  if (items.length === 0) {
+    throw new ServiceError('None of the items of this order are available any more', 409, unavailable);
+  }
+
+  if (target === 'order') {
+    const placed = await placeOrder({
+      userId: order.userId,
+      shopId: order.shopId,
+      items: items.map(item => ({ productId: item.productId, variantId: item.variantId, quantity: item.quantity })),
+      notes,
+      customerName: order.customerName,
+      paymentMethod,
+      pickupSlot,
+      actor
+    });
+
+    console.log('🔁 Reordered as new order:', { from: order._id, orderId: placed._id, skipped: unavailable.length });
+
+    return { target, order: placed, items, unavailable };
+  }
+
+  const cart = await Cart.getOrCreate(order.userId);
+
+  for (const item of items) {
+    const existing = cart.items.find(line => lineKey(line.productId, line.variantId) === lineKey(item.productId, item.variantId));
+
+    if (existing) {
+      existing.quantity += item.quantity;
+    } else {
+      cart.items.push({
+        productId: item.productId,
+        variantId: item.variantId,
+        shopId: order.shopId.toString(),
+        quantity: item.quantity
+      });
+    }
+  }
+
+  await cart.save();
+
+  console.log('🔁 Reordered into cart:', { from: order._id, items: items.length, skipped: unavailable.length });
+
+  return { target, cart: await buildCartView(cart), items, unavailable };
+};
+
+module.exports = {
+  REORDER_TARGETS,
+  repriceOrder,
+  reorder
+};
@@ -0,0 +1,334 @@
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Review = require('../models/Review');
+const Shop = require('../models/Shop');
+const { canAccessShop, canAccessUser } = require('../middleware/auth');
+const { ServiceError } = require('./errors');
+
+// Emits 'created', 'updated', 'replied' and 'moderated' with { review }
+const reviewEvents = new EventEmitter();
+
+const MODERATION_STATUSES = ['published', 'hidden'];
+
+// How long after pickup an order can be reviewed or its review edited
+const reviewWindowDays = () => parseInt(process.env.REVIEW_WINDOW_DAYS) || 30;
+
+const isRating = (value) => Number.isInteger(value) && value >= 1 && value <= 5;
+
+// A star count from the query string (?rating=4); undefined when not given
+const ratingParam = (value, name = 'rating') => {
+  if (value === undefined || value === '') return undefined;
+
+  const stars = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : NaN;
+  if (!isRating(stars)) {
+    throw new ServiceError(`${name} must be a whole number from 1 to 5`);
+  }
+  return stars;
+};
+
+const roundRating = (value) => Math.round(value * 10) / 10;
+
+const trimText = (text, max) => (typeof text === 'string' && text.trim() ? text.trim().slice(0, max) : undefined);
+
+/**
+ * Recalculate the average rating and count of a shop and of products from
+ * their published reviews. Recounting (rather than incrementing) keeps the
+ * numbers right when reviews are edited, hidden or restored.
+ */
+const refreshRatings = async (shopId, productIds = []) => {
+  const [shopStats] = await Review.aggregate([
+    { $match: { shopId: new mongoose.Types.ObjectId(shopId.toString()), status: 'published' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await Shop.updateOne(
+    { _id: shopId },
+    { $set: { rating: shopStats ? roundRating(shopStats.average) : 0, ratingCount: shopStats ? shopStats.count : 0 } }
+  );
+
+  const ids = [...new Set(productIds.map(id => id.toString()))].map(id => new mongoose.Types.ObjectId(id));
+  if (ids.length === 0) return;
+
+  const productStats = await Review.aggregate([
+    { $match: { 'productRatings.productId': { $in: ids }, status: 'published' } },
+    { $unwind: '$productRatings' },
+    { $match: { 'productRatings.productId': { $in: ids } } },
+    { $group: { _id: '$productRatings.productId', average: { $avg: '$productRatings.rating' }, count: { $sum: 1 } } }
+  ]);
+  const statsById = new Map(productStats.map(stats => [stats._id.toString(), stats]));
+
+  await Product.bulkWrite(ids.map(id => {
+    const stats = statsById.get(id.toString());
+    return {
+      updateOne: {
+        filter: { _id: id },
+        update: { $set: { rating: stats ? roundRating(stats.average) : 0, ratingCount: stats ? stats.count : 0 } }
+      }
+    };
+  }));
+};
+
+// Validate per-product ratings against the items of the order
+const readProductRatings = (order, products) => {
+  if (products === undefined) return [];
+  if (!Array.isArray(products)) {
+    throw new ServiceError('products must be an array');
+  }
+
+  const errors = [];
+  const seen = new Set();
+  const ratings = [];
+
+  products.forEach((entry, index) => {
+    const productId = entry && entry.productId ? entry.productId.toString() : '';
+    const item = order.items.find(orderItem => orderItem.productId && orderItem.productId.toString() === productId);
+
+    if (!item) {
+      errors.push({ index, productId, code: 'PRODUCT_NOT_IN_ORDER', message: 'Product is not part of this order' });
+    } else if (seen.has(productId)) {
+      errors.push({ index, productId, code: 'DUPLICATE_PRODUCT', message: `${item.productName} is rated more than once` });
+    } else if (!isRating(entry.rating)) {
+      errors.push({ index, productId, code: 'INVALID_RATING', message: 'rating must be a whole number from 1 to 5' });
+    } else {
+      seen.add(productId);
+      ratings.push({
+        productId: item.productId,
+        productName: item.productName,
+        rating: entry.rating,
+        comment: trimText(entry.comment, 500)
+      });
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ServiceError('Some product ratings are not valid', 400, errors);
+  }
+
+  return ratings;
+};
+
+const checkReviewWindow = (order, now = new Date()) => {
+  const completedAt = order.completedAt || order.updatedAt;
+  if (now - completedAt > reviewWindowDays() * 24 * 60 * 60 * 1000) {
+    throw new ServiceError(`Orders can only be reviewed within ${reviewWindowDays()} days of pickup`);
+  }
+};
+
+/**
+ * Review a completed order: a 1-5 rating and text for the shop, and
+ * optionally ratings for products of the order. One review per order.
+ *
+ * @param {Object} auth - req.auth of the customer
+ * @param {{orderId: string, rating: number, comment?: string, products?: Array}} input
+ * @returns {Promise<Document>} the Review
+ */
+const createReview = async (auth, { orderId, rating, comment, products }) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId || '')) {
+    throw new ServiceError('orderId is not valid');
+  }
+  if (!isRating(rating)) {
+    throw new ServiceError('rating must be a whole number from 1 to 5');
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw new ServiceError('Order not found', 404);
+  }
+  if (!canAccessUser(auth, order.userId)) {
+    throw new ServiceError('You can only review your own orders', 403);
+  }
+  if (order.status !== 'Completed') {
+    throw new ServiceError('Only completed orders can be reviewed');
+  }
+  checkReviewWindow(order);
+
+  const productRatings = readProductRatings(order, products);
+
+  let review;
+  try {
+    review = await Review.create({
+      orderId: order._id,
+      userId: order.userId,
+      customerName: order.customerName,
+      shopId: order.shopId,
+      rating,
+      comment: trimText(comment, 1000),
+      productRatings
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ServiceError('This order has already been reviewed', 409);
+    }
+    throw error;
+  }
+
+  await refreshRatings(review.shopId, productRatings.map(entry => entry.productId));
+
+  console.log('⭐ Review added:', { reviewId: review._id, orderId: order._id, rating });
+
+  reviewEvents.emit('created', { review });
+
+  return review;
+};
+
+const findReview = async (reviewId) => {
+  const review = mongoose.Types.ObjectId.isValid(reviewId || '') ? await Review.findById(reviewId) : null;
+  if (!review) {
+    throw new ServiceError('Review not found', 404);
+  }
+  return review;
+};
+
+// The author changes their rating, text or product ratings (within the review window)
+const updateReview = async (auth, reviewId, { rating, comment, products }) => {
+  const review = await findReview(reviewId);
+
+  if (!canAccessUser(auth, review.userId)) {
+    throw new ServiceError('You can only edit your own reviews', 403);
+  }
+  if (rating !== undefined && !isRating(rating)) {
+    throw new ServiceError('rating must be a whole number from 1 to 5');
+  }
+
+  const order = await Order.findById(review.orderId);
+  if (order) checkReviewWindow(order);
+
+  const previousProductIds = review.productRatings.map(entry => entry.productId);
+
+  if (rating !== undefined) review.rating = rating;
+  if (comment !== undefined) review.comment = trimText(comment, 1000);
+  if (products !== undefined && order) review.productRatings = readProductRatings(order, products);
+
+  await review.save();
+  await refreshRatings(review.shopId, [...previousProductIds, ...review.productRatings.map(entry => entry.productId)]);
+
+  reviewEvents.emit('updated', { review });
+
+  return review;
+};
+
+// The shop answers a review publicly (replying again replaces the answer)
+const replyToReview = async (auth, reviewId, text) => {
+  const review = await findReview(reviewId);
+
+  if (!canAccessShop(auth, review.shopId)) {
+    throw new ServiceError('You can only reply to reviews of your own shop', 403);
+  }
+
+  const reply = trimText(text, 1000);
+  if (!reply) {
+    throw new ServiceError('Reply text is required');
+  }
+
+  review.reply = { text: reply, repliedAt: new Date() };
+  await review.save();
+
+  reviewEvents.emit('replied', { review });
+
+  return review;
+};
+
+// Admin hides a review (it stops counting towards ratings) or publishes it again
+const moderateReview = async (auth, reviewId, { status, reason }) => {
+  if (!MODERATION_STATUSES.includes(status)) {
+    throw new ServiceError(`status must be one of ${MODERATION_STATUSES.join(', ')}`);
+  }
+
+  const review = await findReview(reviewId);
+
+  review.status = status;
+  review.moderation = {
+    reason: trimText(reason, 200),
+    moderatedBy: auth.id,
+    moderatedAt: new Date()
+  };
+  await review.save();
+  await refreshRatings(review.shopId, review.productRatings.map(entry => entry.productId));
+
+  console.log('🛡️  Review moderated:', { reviewId: review._id, status });
+
+  reviewEvents.emit('moderated', { review });
+
+  return review;
+};
+
+/**
+ * Published reviews of a shop or a product, newest first, with the rating
+ * distribution. Product listings carry that product's rating as `productRating`.
+ */
+const listReviews = async ({ shopId, productId }, { page = 1, limit = 10, rating } = {}) => {
+  const id = shopId || productId;
+  if (!mongoose.Types.ObjectId.isValid(id || '')) {
+    throw new ServiceError(`${shopId ? 'shopId' : 'productId'} is not valid`);
+  }
+
+  const targetId = new mongoose.Types.ObjectId(id);
+  const match = shopId
+    ? { shopId: targetId, status: 'published' }
+    : { 'productRatings.productId': targetId, status: 'published' };
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+  const stars = ratingParam(rating);
+
+  // ?rating=5 lists only reviews with that many stars
+  let filter = match;
+  if (stars) {
+    filter = shopId
+      ? { ...match, rating: stars }
+      : { ...match, productRatings: { $elemMatch: { productId: targetId, rating: stars } } };
+  }
+
+  const [reviews, total, distribution] = await Promise.all([
+    Review.find(filter)
+      .select('-moderation -__v')
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    Review.countDocuments(filter),
+    Review.aggregate([
+      { $match: match },
+      ...(shopId ? [] : [{ $unwind: '$productRatings' }, { $match: { 'productRatings.productId': targetId } }]),
+      { $group: { _id: shopId ? '$rating' : '$productRatings.rating', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const counts = Object.fromEntries([1, 2, 3, 4, 5].map(stars => [stars, 0]));
+  distribution.forEach(entry => { counts[entry._id] = entry.count; });
+  const count = Object.values(counts).reduce((sum, value) => sum + value, 0);
+  const average = count > 0
+    ? roundRating(Object.entries(counts).reduce((sum, [stars, value]) => sum + stars * value, 0) / count)
+    : 0;
+
+  const data = productId
+    ? reviews.map(({ productRatings, ...review }) => ({
+      ...review,
+      productRating: productRatings.find(entry => entry.productId.equals(targetId))
+    }))
+    : reviews;
+
+  return {
+    reviews: data,
+    summary: { average, count, distribution: counts },
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      pages: Math.ceil(total / pageSize)
+    }
+  };
+};
+
+module.exports = {
+  reviewEvents,
+  MODERATION_STATUSES,
+  ratingParam,
+  refreshRatings,
+  createReview,
+  updateReview,
+  replyToReview,
+  moderateReview,
+  listReviews
+};
@@ -0,0 +1,328 @@
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const Shop = require('../models/Shop');
+const ShopDocument = require('../models/ShopDocument');
+const { isAdmin, canAccessShop } = require('../middleware/auth');
+const { ServiceError } = require('./errors');
+
+// Emits 'submitted', 'approved' and 'rejected' with { shop, reason }
+const shopApprovalEvents = new EventEmitter();
+
+const APPROVAL_STATUSES = ['pending', 'submitted', 'approved', 'rejected'];
+const APPROVAL_DECISIONS = ['approve', 'reject'];
+const DOCUMENT_TYPES = ShopDocument.schema.path('type').enumValues;
+const REQUIRED_DOCUMENT_TYPES = ['id_proof', 'address_proof'];
+const DOCUMENT_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
+const MAX_DOCUMENTS = 10;
+
+// Documents can only change before the shop is sent for review, or after a rejection
+const EDITABLE_STATUSES = ['pending', 'rejected'];
+
+const trimText = (text, max) => (typeof text === 'string' && text.trim() ? text.trim().slice(0, max) : undefined);
+
+// Shops saved before the workflow have no approvalStatus; they are matched by isApproved
+const statusFilter = (status) => ({
+  $or: [
+    { approvalStatus: status },
+    ...(status === 'pending' || status === 'approved'
+      ? [{ approvalStatus: null, isApproved: status === 'approved' }]
+      : [])
+  ]
+});
+
+const findShop = async (shopId, fields = '') => {
+  const shop = mongoose.Types.ObjectId.isValid(shopId || '') ? await Shop.findById(shopId).select(fields) : null;
+  if (!shop) {
+    throw new ServiceError('Shop not found', 404);
+  }
+  return shop;
+};
+
+const loadOwnShop = async (auth, shopId, fields) => {
+  const shop = await findShop(shopId, fields);
+  if (!canAccessShop(auth, shop._id)) {
+    throw new ServiceError('You can only manage the documents of your own shop', 403);
+  }
+  return shop;
+};
+
+const checkDocumentsEditable = (shop) => {
+  if (shop.approvalStatus === 'submitted') {
+    throw new ServiceError('Documents cannot change while the shop is being reviewed', 409);
+  }
+  if (!EDITABLE_STATUSES.includes(shop.approvalStatus)) {
+    throw new ServiceError('Documents of an approved shop cannot change', 409);
+  }
+};
+
+// Document details without the file itself
+const documentSummary = (document) => ({
+  _id: document._id,
+  type: document.type,
+  fileName: document.fileName,
+  mimeType: document.mimeType,
+  size: document.size,
+  uploadedBy: document.uploadedBy,
+  createdAt: document.createdAt
+});
+
+const missingDocumentTypes = async (shopId) => {
+  const uploaded = await ShopDocument.distinct('type', { shopId });
+  return REQUIRED_DOCUMENT_TYPES.filter(type => !uploaded.includes(type));
+};
+
+const missingDocumentsError = (message, missing) => new ServiceError(message, 400, missing.map(type => ({
+  type,
+  code: 'DOCUMENT_MISSING',
+  message: `Upload a document of type ${type}`
+})));
+
+// Move a shop to a new approval status, only if nobody changed its status meanwhile
+const changeApprovalStatus = async (shop, status, { set = {}, reason, actor }) => {
+  const at = new Date();
+  const updated = await Shop.findOneAndUpdate(
+    { _id: shop._id, ...statusFilter(shop.approvalStatus) },
+    {
+      $set: { ...set, approvalStatus: status, isApproved: status === 'approved' },
+      $push: { approvalHistory: { status, reason, actorType: actor.type, actorId: actor.id, at } }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new ServiceError('Shop was updated by someone else, please refresh', 409);
+  }
+
+  return updated;
+};
+
+/**
+ * Store a verification document of a shop (multer memory file).
+ * Documents can be added while the shop is pending or was rejected.
+ *
+ * @param {Object} auth - req.auth of the owner
+ * @param {string} shopId
+ * @param {{type: string, file: Object}} input
+ * @returns {Promise<Object>} the document without its file
+ */
+const addShopDocument = async (auth, shopId, { type, file }) => {
+  const shop = await loadOwnShop(auth, shopId);
+  checkDocumentsEditable(shop);
+
+  if (!DOCUMENT_TYPES.includes(type)) {
+    throw new ServiceError(`type must be one of ${DOCUMENT_TYPES.join(', ')}`);
+  }
+  if (!file || !file.buffer || file.size === 0) {
+    throw new ServiceError('A document file is required');
+  }
+  if (!DOCUMENT_MIME_TYPES.includes(file.mimetype)) {
+    throw new ServiceError('Documents must be PDF, JPEG, PNG or WebP files');
+  }
+  if (await ShopDocument.countDocuments({ shopId: shop._id }) >= MAX_DOCUMENTS) {
+    throw new ServiceError(`A shop can keep at most ${MAX_DOCUMENTS} documents, remove one first`);
+  }
+
+  const document = await ShopDocument.create({
+    shopId: shop._id,
+    type,
+    fileName: trimText(file.originalname, 200) || type,
+    mimeType: file.mimetype,
+    size: file.size,
+    data: file.buffer,
+    uploadedBy: auth.id
+  });
+
+  console.log('📄 Shop document uploaded:', { shopId: shop._id, documentId: document._id, type });
+
+  return documentSummary(document);
+};
+
+const removeShopDocument = async (auth, shopId, documentId) => {
+  const shop = await loadOwnShop(auth, shopId);
+  checkDocumentsEditable(shop);
+
+  const result = mongoose.Types.ObjectId.isValid(documentId || '')
+    ? await ShopDocument.deleteOne({ _id: documentId, shopId: shop._id })
+    : { deletedCount: 0 };
+
+  if (result.deletedCount === 0) {
+    throw new ServiceError('Document not found', 404);
+  }
+};
+
+/**
+ * Approval state and history of a shop with its documents and the required
+ * document types that are still missing. For the owner and admins.
+ */
+const getShopVerification = async (auth, shopId) => {
+  const shop = await loadOwnShop(auth, shopId, '+approvalHistory');
+
+  const [documents, missing] = await Promise.all([
+    ShopDocument.find({ shopId: shop._id }).sort({ createdAt: 1 }),
+    missingDocumentTypes(shop._id)
+  ]);
+
+  return {
+    approvalStatus: shop.approvalStatus,
+    isApproved: shop.isApproved,
+    approval: shop.approval,
+    approvalHistory: shop.approvalHistory,
+    requiredDocumentTypes: REQUIRED_DOCUMENT_TYPES,
+    missingDocumentTypes: missing,
+    documents: documents.map(documentSummary)
+  };
+};
+
+// A document with its file, for download by the owner or an admin
+const getShopDocumentFile = async (auth, shopId, documentId) => {
+  const shop = await loadOwnShop(auth, shopId);
+
+  const document = mongoose.Types.ObjectId.isValid(documentId || '')
+    ? await ShopDocument.findOne({ _id: documentId, shopId: shop._id }).select('+data')
+    : null;
+
+  if (!document) {
+    throw new ServiceError('Document not found', 404);
+  }
+  return document;
+};
+
+// The owner sends the shop for review once the required documents are uploaded
+const submitForApproval = async (auth, shopId) => {
+  const shop = await loadOwnShop(auth, shopId);
+
+  if (shop.approvalStatus === 'submitted') {
+    throw new ServiceError('The shop is already waiting for review', 409);
+  }
+  if (shop.approvalStatus === 'approved') {
+    throw new ServiceError('The shop is already approved', 409);
+  }
+
+  const missing = await missingDocumentTypes(shop._id);
+  if (missing.length > 0) {
+    throw missingDocumentsError('Upload the required documents before submitting', missing);
+  }
+
+  const updated = await changeApprovalStatus(shop, 'submitted', {
+    set: { 'approval.submittedAt': new Date() },
+    actor: { type: isAdmin(auth) ? 'admin' : 'shop', id: auth.id }
+  });
+
+  console.log('📨 Shop submitted for approval:', { shopId: updated._id });
+
+  shopApprovalEvents.emit('submitted', { shop: updated });
+
+  return updated;
+};
+
+/**
+ * Admin approves or rejects a shop. Approval needs the required documents;
+ * rejecting needs a reason, which the owner sees. Rejecting an approved
+ * shop takes it off the marketplace until it is approved again.
+ *
+ * @param {Object} auth - req.auth of the admin
+ * @param {string} shopId
+ * @param {{decision: 'approve'|'reject', reason?: string}} input
+ * @returns {Promise<Document>} the updated Shop
+ */
+const reviewShop = async (auth, shopId, { decision, reason }) => {
+  if (!APPROVAL_DECISIONS.includes(decision)) {
+    throw new ServiceError(`decision must be one of ${APPROVAL_DECISIONS.join(', ')}`);
+  }
+
+  const text = trimText(reason, 500);
+  if (decision === 'reject' && !text) {
+    throw new ServiceError('A reason is required to reject a shop');
+  }
+
+  const shop = await findShop(shopId);
+  const status = decision === 'approve' ? 'approved' : 'rejected';
+
+  if (shop.approvalStatus === status) {
+    throw new ServiceError(`The shop is already ${status}`, 409);
+  }
+
+  if (status === 'approved') {
+    const missing = await missingDocumentTypes(shop._id);
+    if (missing.length > 0) {
+      throw missingDocumentsError('The shop has not uploaded the required documents', missing);
+    }
+  }
+
+  const updated = await changeApprovalStatus(shop, status, {
+    set: {
+      'approval.reviewedAt': new Date(),
+      'approval.reviewedBy': auth.id,
+      'approval.reason': text || null
+    },
+    reason: text,
+    actor: { type: 'admin', id: auth.id }
+  });
+
+  console.log('🛡️  Shop approval decision:', { shopId: updated._id, status });
+
+  shopApprovalEvents.emit(status, { shop: updated, reason: text });
+
+  return updated;
+};
+
+/**
+ * Shops by approval status for the admin queue (default: submitted, oldest
+ * submission first), with how many documents each has uploaded.
+ */
+const listShopsForApproval = async ({ status = 'submitted', page = 1, limit = 20 } = {}) => {
+  if (!APPROVAL_STATUSES.includes(status)) {
+    throw new ServiceError(`status must be one of ${APPROVAL_STATUSES.join(', ')}`);
+  }
+
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const filter = statusFilter(status);
+
+  const [shops, total] = await Promise.all([
+    Shop.find(filter)
+      .select('name ownerName ownerId phone email category address isActive isApproved approvalStatus approval createdAt')
+      .sort({ 'approval.submittedAt': 1, createdAt: 1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize),
+    Shop.countDocuments(filter)
+  ]);
+
+  const counts = await ShopDocument.aggregate([
+    { $match: { shopId: { $in: shops.map(shop => shop._id) } } },
+    { $group: { _id: '$shopId', documents: { $sum: 1 }, types: { $addToSet: '$type' } } }
+  ]);
+  const countsById = new Map(counts.map(entry => [entry._id.toString(), entry]));
+
+  return {
+    shops: shops.map(shop => {
+      const entry = countsById.get(shop._id.toString());
+      return {
+        ...shop.toJSON(),
+        documentCount: entry ? entry.documents : 0,
+        missingDocumentTypes: REQUIRED_DOCUMENT_TYPES.filter(type => !(entry && entry.types.includes(type)))
+      };
+    }),
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      pages: Math.ceil(total / pageSize)
+    }
+  };
+};
+
+module.exports = {
+  shopApprovalEvents,
+  APPROVAL_STATUSES,
+  APPROVAL_DECISIONS,
+  DOCUMENT_TYPES,
+  REQUIRED_DOCUMENT_TYPES,
+  addShopDocument,
+  removeShopDocument,
+  getShopVerification,
+  getShopDocumentFile,
+  submitForApproval,
+  reviewShop,
+  listShopsForApproval
+};
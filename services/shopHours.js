@@ -0,0 +1,161 @@
+// Opening hours are stored as local 'HH:MM' times in the shop's timezone.
+// Works on Shop documents and on plain objects from aggregations alike.
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+// Local time of day, 24h 'HH:MM'
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Calendar date and minute of the day at `date` in the shop's timezone
+const localParts = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+// 'YYYY-MM-DD' shifted by whole days
+const shiftDateKey = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * The instant a local date and 'HH:MM' time happen in a timezone.
+ * The offset is measured at the first guess and corrected once, which is
+ * exact everywhere except inside a DST gap.
+ */
+const toUtcDate = (dateKey, time, timeZone) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const target = Date.UTC(year, month - 1, day) + toMinutes(time) * 60 * 1000;
+
+  let guess = target;
+  for (let i = 0; i < 2; i++) {
+    const local = localParts(new Date(guess), timeZone);
+    const [y, m, d] = local.dateKey.split('-').map(Number);
+    const seenAsUtc = Date.UTC(y, m - 1, d) + local.minutes * 60 * 1000;
+    guess += target - seenAsUtc;
+  }
+
+  return new Date(guess);
+};
+
+const weekdayOf = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+/**
+ * Opening intervals for one local date, or null when the shop has no
+ * schedule for it (then only the manual isOpen switch applies).
+ * A holiday/special entry for the date replaces the weekly hours.
+ */
+const intervalsFor = (shop, dateKey) => {
+  const special = (shop.specialHours || []).find(entry => entry.date === dateKey);
+
+  if (special) {
+    return !special.closed && special.open && special.close ? [{ open: special.open, close: special.close }] : [];
+  }
+
+  if (!shop.openingHours || shop.openingHours.length === 0) return null;
+
+  return shop.openingHours.filter(entry => entry.day === weekdayOf(dateKey));
+};
+
+// An interval whose close is not after its open runs past midnight
+const wrapsMidnight = (interval) => toMinutes(interval.close) <= toMinutes(interval.open);
+
+// Whether the opening hours (ignoring the manual switch) allow orders at `now`
+const isWithinOpeningHours = (shop, now = new Date()) => {
+  const { dateKey, minutes } = localParts(now, shop.timezone || DEFAULT_TIMEZONE);
+  const today = intervalsFor(shop, dateKey);
+
+  if (today === null) return true;
+
+  const openToday = today.some(interval => minutes >= toMinutes(interval.open) &&
+    (wrapsMidnight(interval) || minutes < toMinutes(interval.close)));
+
+  if (openToday) return true;
+
+  // Still inside last night's late opening
+  const yesterday = intervalsFor(shop, shiftDateKey(dateKey, -1)) || [];
+  return yesterday.some(interval => wrapsMidnight(interval) && minutes < toMinutes(interval.close));
+};
+
+// Open = not switched off by the owner and inside today's hours
+const isShopOpenNow = (shop, now = new Date()) => shop.isOpen !== false && isWithinOpeningHours(shop, now);
+
+/**
+ * Next time the schedule opens, in the shop's local time, looking a week ahead.
+ * @returns {{date: string, time: string}|null}
+ */
+const nextOpening = (shop, now = new Date()) => {
+  const { dateKey, minutes } = localParts(now, shop.timezone || DEFAULT_TIMEZONE);
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const date = shiftDateKey(dateKey, offset);
+    const intervals = intervalsFor(shop, date);
+
+    if (intervals === null) {
+      if (offset > 0) return { date, time: '00:00' };
+      continue;
+    }
+
+    const opening = intervals
+      .map(interval => interval.open)
+      .filter(open => offset > 0 || toMinutes(open) > minutes)
+      .sort()[0];
+
+    if (opening) return { date, time: opening };
+  }
+
+  return null;
+};
+
+// Human-readable reason for order errors, e.g. "Shop is closed right now (opens Mon 2026-10-19 09:00)"
+const closedMessage = (shop, now = new Date()) => {
+  if (shop.isOpen === false) return 'Shop is closed right now';
+
+  const next = nextOpening(shop, now);
+  if (!next) return 'Shop is closed right now';
+
+  return `Shop is closed right now (opens ${WEEKDAYS[weekdayOf(next.date)]} ${next.date} ${next.time})`;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  TIME_PATTERN,
+  isValidTimeZone,
+  localParts,
+  shiftDateKey,
+  weekdayOf,
+  toMinutes,
+  toUtcDate,
+  isWithinOpeningHours,
+  isShopOpenNow,
+  nextOpening,
+  closedMessage
+};